@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+'use strict';
+
+const { lint, types } = require('../index');
+const Fs = require('fs');
+const Path = require('path');
+
+const USAGE = `Usage: sqler <command> [options]
+
+Commands:
+  lint    Statically validates the SQL files for each of the configured connections
+  types   Generates TypeScript declarations for the prepared functions of each of the configured connections
+
+Options:
+  --conf <path>        The path to the JSON or JavaScript module that exports the sqler configuration (required)
+  --main-path <path>   Overrides the "mainPath" in the configuration
+  --json               Outputs the lint results as JSON
+  --strict             Exits with a non-zero exit code when there are lint warnings (in addition to errors)
+  --out <path>         The file path where the TypeScript declarations will be written (defaults to the console)
+  --help               Outputs the usage
+
+Exit codes: 0 = success, 1 = lint errors (or warnings when using --strict), 2 = invalid usage/configuration/SQL files`;
+
+const OPTIONS = Object.freeze({ '--conf': 'conf', '--main-path': 'mainPath', '--out': 'out' }); // options that require a value
+const COMMANDS = Object.freeze({ lint: runLint, types: runTypes });
+
+/**
+ * Parses the command line arguments
+ * @param {String[]} argv The command line arguments (excluding the node executable and script path)
+ * @returns {Object} The parsed `command` and options
+ */
+function parseArgs(argv) {
+  const args = { command: null };
+  for (let i = 0; i < argv.length; ++i) {
+    if (OPTIONS.hasOwnProperty(argv[i])) {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for "${argv[i]}"`);
+      args[OPTIONS[argv[i]]] = argv[++i];
+    } else if (argv[i] === '--json' || argv[i] === '--strict' || argv[i] === '--help') {
+      args[argv[i].substring(2)] = true;
+    } else if (!args.command && !argv[i].startsWith('--')) {
+      args.command = argv[i];
+    } else {
+      throw new Error(`Unrecognized argument "${argv[i]}"`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Formats a lint issue for console output
+ * @param {import('../index').SQLERLintIssue} issue The lint issue
+ * @returns {String} The formatted issue
+ */
+function formatIssue(issue) {
+  return `${issue.file}${issue.line ? `:${issue.line}` : ''} ${issue.severity} ${issue.message} (${issue.code}) [${issue.connections.join(', ')}]`;
+}
+
+/**
+ * Executes a command
+ * @param {String[]} argv The command line arguments (excluding the node executable and script path)
+ * @returns {Integer} The exit code
+ */
+async function run(argv) {
+  let args, conf;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (!COMMANDS.hasOwnProperty(args.command)) throw new Error(args.command ? `Unrecognized command "${args.command}"` : 'A command is required');
+    if (!args.conf) throw new Error('The "--conf" option is required');
+    conf = require(Path.resolve(args.conf));
+    if (args.mainPath) conf.mainPath = args.mainPath;
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  try {
+    return await COMMANDS[args.command](conf, args);
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+}
+
+/**
+ * Executes the `lint` command
+ * @param {import('../index').SQLERConfigurationOptions} conf The configuration
+ * @param {Object} args The parsed command line arguments
+ * @returns {Integer} The exit code
+ */
+async function runLint(conf, args) {
+  const rslt = await lint(conf);
+  if (args.json) {
+    console.log(JSON.stringify(rslt, null, 2));
+  } else {
+    for (let issue of [...rslt.errors, ...rslt.warnings]) {
+      console[issue.severity === 'error' ? 'error' : 'log'](formatIssue(issue));
+    }
+    console.log(`${rslt.errors.length} error(s), ${rslt.warnings.length} warning(s)`);
+  }
+  return rslt.errors.length || (args.strict && rslt.warnings.length) ? 1 : 0;
+}
+
+/**
+ * Executes the `types` command
+ * @param {import('../index').SQLERConfigurationOptions} conf The configuration
+ * @param {Object} args The parsed command line arguments
+ * @returns {Integer} The exit code
+ */
+async function runTypes(conf, args) {
+  const dts = await types(conf);
+  if (args.out) {
+    await Fs.promises.writeFile(args.out, dts);
+    console.log(`TypeScript declarations written to ${Path.resolve(args.out)}`);
+  } else {
+    process.stdout.write(dts);
+  }
+  return 0;
+}
+
+run(process.argv.slice(2)).then(code => process.exitCode = code);
@@ -1,12 +1,16 @@
 'use strict';
 
 const Dialect = require('./lib/dialect');
+const typeDeclarations = require('./lib/types');
 
 const Asynchro = require('asynchro');
 const Fs = require('fs');
+const EventEmitter = require('events');
 const { format } = require('util');
 const Path = require('path');
+const { pipeline, Transform } = require('stream');
 const CRUD_TYPES = Object.freeze(['CREATE', 'READ', 'UPDATE', 'DELETE']);
+const EVENT_TYPES = Object.freeze(['exec:start', 'exec:end', 'exec:error', 'tx:begin', 'tx:commit', 'tx:rollback', 'connection:init', 'connection:close', 'connection:reload']);
 const COMPARE = Object.freeze({
   '=': function eq(x, y) { return x === y; },
   '<': function lt(x, y) { return x < y; },
@@ -15,9 +19,50 @@ const COMPARE = Object.freeze({
   '>=': function gteq(x, y) { return x >= y; },
   '<>': function noteq(x, y) { return x !== y; }
 });
+const PAGINATIONS = Object.freeze({
+  limit: function limit(head, tail, offset, limit) { return `${head}LIMIT ${limit} OFFSET ${offset}${tail}`; },
+  fetch: function fetch(head, tail, offset, limit) { return `${head}OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY${tail}`; },
+  rownum: function rownum(head, tail, offset, limit) {
+    return `SELECT * FROM (SELECT ${MOD_KEY}_page.*, ROWNUM ${MOD_KEY}_rownum FROM (${(head + tail).trim()}) ${MOD_KEY}_page WHERE ROWNUM <= ${offset} + ${limit}) WHERE ${MOD_KEY}_rownum > ${offset}`;
+  }
+});
+const PAGINATION_DIALECTS = Object.freeze({ oracle: 'fetch', mssql: 'fetch', db2: 'fetch' }); // dialects that do not use the default "limit" pagination
+const BIND_LIMIT_DIALECTS = Object.freeze({ mssql: 2100, sqlite: 999, oracle: 65535, postgres: 65535, mysql: 65535, mdb: 65535 }); // max bind parameters per statement
+const VALUES_REGEXP = /\[\[VALUES\s*\(([\S\s]*?)\)\s*\]\]/gi;
+const PAGE_REGEXP = /(?:-{1,2}[ \t]*)?\[\[page\s+:(\w+)\s+:(\w+)\s*\]\]/i; // a pagination tag (any preceding comment marker is removed like other tags)
 const POS_BINDS_REGEXP = /(?<!:):(\w+)(?=([^'\\]*(\\.|'([^'\\]*\\.)*[^'\\]*'))*[^']*$)/g;
+const VERSION_COND_REGEXP = /(<>|<=|>=|=|<|>)\s*([+-]?\d+(?:\.\d+)*)/g; // each comparison within a version substitution range (e.g. [[version >= 12.1 < 19]])
+const HEADER_REGEXP = /^[ \t]*--[ \t]*@(\w+)(?:[ \t]+(.*?))?\s*$/;
+const DOLLAR_QUOTE_REGEXP = /^\$(?:[A-Za-z_]\w*)?\$/; // dollar quoted string tags within scripts (e.g. $$ or $body$)
+const INCLUDE_REGEXP = /^[ \t]*--[ \t]*@include[ \t]+(\S+)[ \t]*\r?$/gim; // SQL file include directives (e.g. -- @include ../shared/tenant.where.sql)
+const BIND_VALIDATORS = Object.freeze({
+  string: function string(val) { return typeof val === 'string'; },
+  int: function int(val) { return Number.isInteger(val); },
+  number: function number(val) { return typeof val === 'number' && !isNaN(val); },
+  boolean: function boolean(val) { return typeof val === 'boolean'; },
+  date: function date(val) { return val instanceof Date || (typeof val === 'string' && !isNaN(Date.parse(val))); },
+  array: function array(val) { return Array.isArray(val); }
+});
+const BIND_TYPES = Object.freeze(Object.keys(BIND_VALIDATORS));
 const MOD_KEY = 'sqler'; // module key used for the object namespace on errors and logging
 const NS = 'db'; // namespace on Manager where SQL functions will be added
+const RETRY_DEFAULTS = Object.freeze({ attempts: 1, delay: 100, factor: 2, maxDelay: 10000, jitter: true });
+const RETRY_ENABLED = Object.freeze({ attempts: 3 }); // applied over the retry defaults when retries are enabled via "retry: true"
+const CIRCUIT_DEFAULTS = Object.freeze({ threshold: 5, cooldown: 30000 });
+const CIRCUIT_OPEN_CODE = 'SQLER_CIRCUIT_OPEN'; // error code used when executions fail fast due to an open circuit breaker
+const TIMEOUT_CODE = 'SQLER_TIMEOUT'; // error code used when executions exceed the execution timeout
+const TAG_REGEXPS = Object.freeze({ // substitution tag contents recognized by DBS.segmentSubs and validated by lint
+  dialect: { open: /^!\s*(!)?\s*(\w+(?:\s*,\s*\w+)*)\s*$/, close: /^!$/, prefix: /^\s*!/ },
+  version: { open: /^version((?:\s*(?:<>|<=|>=|=|<|>)\s*[+-]?\d+(?:\.\d+)*\.?)+)\s*$/i, close: /^version$/i, prefix: /^\s*version\b/i },
+  fragment: { open: /^\?\s*(!)?\s*(:)?(\w+)\s*$/, close: /^\?$/, else: /^\?\s*else\s*$/, prefix: /^\s*\?/ },
+  expansion: { single: /^(?:OR|AND)[\S\s]*?:\w+/i, prefix: /^\s*(?:OR|AND)\b/i },
+  values: { single: /^VALUES\s*\([\S\s]*?:\w+\.\w+[\S\s]*\)\s*$/i, prefix: /^\s*VALUES\b/i },
+  page: { single: /^page\s+:\w+\s+:\w+\s*$/i, prefix: /^\s*page\b/i }
+});
+const BINDS_CODE = 'SQLER_BINDS'; // error code used when bind parameters fail validation
+const ABORT_CODE = 'ABORT_ERR'; // error code used when executions are aborted via an AbortSignal (consistent with Node.js)
+const METRICS_SAMPLE_SIZE = 1024; // max number of the most recent execution durations retained per prepared function for latency percentiles
+const METRICS_QUANTILES = Object.freeze({ p50: 0.5, p95: 0.95, p99: 0.99 });
 
 /**
  * The database(s) manager entry point that autogenerates/manages SQL execution functions from underlying SQL statement files.
@@ -30,8 +75,10 @@ const NS = 'db'; // namespace on Manager where SQL functions will be added
  * - `db.<CONN_NAME>.<PREPARED_FUNC_PATHS>` The generated SQL executable {@link SQLERPreparedFunction}(s). Assuming a _<CONN_NAME>_ of _myConn_ and a path of
  * _/db/myConn/read.my.table.sql_, the accessible {@link SQLERPreparedFunction} may be accessible via _db.myConn.read.my.table()_.
  * - `db.<CONN_NAME>.beginTransaction` - A function that accepts a single {@link SQLERTransactionOptions} that begins a transaction for a given database connection pool.
+ *
+ * A manager is also an `EventEmitter` that emits a {@link SQLEREvent} for each of the {@link Manager.EVENT_TYPES} (e.g. `manager.on('exec:end', evt => {})`).
  */
-class Manager {
+class Manager extends EventEmitter {
 
   /**
   * Creates a new database manager. Vendor-specific implementations should have constructors that accept properties defined by {@link Dialect}.
@@ -39,12 +86,15 @@ class Manager {
   * @param {SQLERCache} [cache] the {@link SQLERCache} __like__ instance that will handle the logevity of the SQL statement before the SQL statement is re-read from the SQL file
   * @param {(Function | Boolean)} [logging] the `function(dbNames)` that will return a name/dialect specific `function(obj1OrMsg [, obj2OrSubst1, ..., obj2OrSubstN]))` that will handle database logging.
   * Pass `true` to use the console. Omit to disable logging altogether.
+  * @param {SQLERTracer} [tracer] The tracer that will be used to start spans for executions, transactions, initialization and closing of connections (e.g. an
+  * [OpenTelemetry](https://opentelemetry.io/) `Tracer`). Omit to disable tracing altogether.
   */
-  constructor(conf, cache, logging) {
+  constructor(conf, cache, logging, tracer) {
     if (!conf) throw new Error('Database configuration is required');
     if (!conf.db || !conf.db.dialects) throw new Error('Database configuration.db.dialects are required');
     if (!conf.univ || !conf.univ.db || !Object.keys(conf.univ.db).length) throw new Error('Database configuration.univ.db properties are required');
     if (!Array.isArray(conf.db.connections) || !conf.db.connections.length) throw new Error('Database configuration.db.connections must contain at least one connection');
+    super();
     const connCnt = conf.db.connections.length;
     const mgr = internal(this);
     mgr.at.track = {};
@@ -57,10 +107,11 @@ class Manager {
       writable: false
     });
     mgr.this[NS] = {};
+    mgr.at.hooks = { emitter: mgr.this, middleware: [], tracer };
     mgr.at.debug = conf.debug;
     mgr.at.privDB = conf.univ.db;
     mgr.at.dialects = conf.db.dialects;
-    mgr.at.mainPath = conf.mainPath || (require.main && require.main.filename.replace(/([^\\\/]*)$/, '')) || process.cwd();
+    mgr.at.mainPath = mainPath(conf);
     mgr.at.privatePath = conf.privatePath || process.cwd();
     mgr.at.sqls = new Array(connCnt);
     mgr.at.logError = logging === true ? generateLogger(console.error, [MOD_KEY, 'db', 'error']) : logging && logging([MOD_KEY, 'db', 'error']);
@@ -97,6 +148,40 @@ class Manager {
     return rslt;
   }
 
+  /**
+   * Removes a connection from the manager by closing the underlying {@link Dialect}, dropping any cached SQL statements and removing the connection namespace
+   * (along with all of the generated {@link SQLERPreparedFunction}(s)) from the manager (e.g. `manager.db.<CONN_NAME>` will no longer be accessible).
+   * __The connection is removed from the manager even when closing the underlying {@link Dialect} fails__.
+   * @param {String} name The connection name that will be removed (i.e. the {@link SQLERConnectionOptions} `name`)
+   * @param {SQLEROperationOptions} [opts] The {@link SQLEROperationOptions} to use when closing the connection
+   * @returns {SQLEROperationResults} The results
+   */
+  async removeConnection(name, opts) {
+    const mgr = internal(this);
+    if (!mgr.at.connNames.includes(name)) throw new Error(`Database connection name ${name} does not exist within the manager and cannot be removed`);
+    let rslt;
+    try {
+      rslt = await operation(mgr, 'close', opts, [name]);
+    } finally {
+      const idx = mgr.at.connNames.indexOf(name);
+      if (idx >= 0) { // compact connections
+        const sqls = mgr.at.sqls[idx];
+        mgr.at.sqls.splice(idx, 1);
+        mgr.at.connNames.splice(idx, 1);
+        delete mgr.this[NS][name];
+        await sqls.release();
+      }
+    }
+    if (rslt.errors && rslt.errors.length) {
+      if (mgr.at.logError) {
+        mgr.at.logError(`Failed to close ${name} database while removing the connection`, ...rslt.errors);
+      }
+    } else if (mgr.at.log) {
+      mgr.at.log(`Connection ${name} has been closed and removed from the manager`);
+    }
+    return rslt;
+  }
+
   /**
    * Initializes the configured database connections
    * @param {Boolean} [returnErrors] Truthy to return errors, otherwise, any encountered errors will be thrown
@@ -105,7 +190,11 @@ class Manager {
   async init(returnErrors) {
     const mgr = internal(this);
     if (mgr.at.isInit) throw new Error(`[${mgr.at.connNames.join()}] database(s) are already initialized`);
-    const rslt = await operation(mgr, 'init', { returnErrors });
+    const rslt = await trace(mgr.at.hooks.tracer, `${MOD_KEY}.init`, { [`${MOD_KEY}.connections`]: mgr.at.connNames.join() }, null, async span => {
+      const rslt = await operation(mgr, 'init', { returnErrors });
+      if (span) span.setAttribute(`${MOD_KEY}.errors`, (rslt.errors && rslt.errors.length) || 0);
+      return rslt;
+    });
     mgr.at.isInit = true;
     if (returnErrors && rslt.errors && rslt.errors.length) {
       if (mgr.at.logError) {
@@ -118,6 +207,29 @@ class Manager {
   }
 
    /**
+   * Registers a {@link SQLERMiddleware} that will be invoked for every {@link SQLERPreparedFunction} execution. Middleware registered without any connection names will be invoked for every
+   * connection on the manager (including connections added after registration) and will be invoked before any connection specific middleware. Middleware is invoked in the order in which it
+   * was registered.
+   * @param {SQLERMiddleware} middleware The middleware to register
+   * @param {...String} [connNames] The connection names that the middleware will be registered on (defaults to all connections)
+   * @returns {Manager} The manager instance
+   */
+  use(middleware, ...connNames) {
+    const mgr = internal(this);
+    if (typeof middleware !== 'function') throw new Error(`Middleware must be a function, but found: ${typeof middleware}`);
+    if (!connNames.length) {
+      mgr.at.hooks.middleware.push(middleware);
+      return mgr.this;
+    }
+    for (let connName of connNames) {
+      const idx = mgr.at.connNames.indexOf(connName);
+      if (idx < 0) throw new Error(`Unable to register middleware on database connection name ${connName} since it does not exist within the manager`);
+      mgr.at.sqls[idx].use(middleware);
+    }
+    return mgr.this;
+  }
+
+  /**
    * Composes the {@link SQLERState} on either all the connections used by the manager or on the specified connection names.
    * @param {SQLEROperationOptions} [opts] The {@link SQLEROperationOptions} to use
    * @param {...String} [connNames] The connection names to perform the check on (defaults to all connections)  
@@ -127,12 +239,115 @@ class Manager {
     return operation(internal(this), 'state', opts, connNames);
   }
  
+  /**
+   * Composes the execution metrics for each {@link SQLERPreparedFunction} that has been executed on either all the connections used by the manager or on the specified
+   * connection names. Metrics are collected for every execution and are retained until they are reset or the connection is removed from the manager.
+   * @param {Object} [opts] The metric options
+   * @param {Boolean} [opts.reset] Truthy to reset the metrics for the connection(s) once they have been composed
+   * @param {...String} [connNames] The connection names to compose the metrics for (defaults to all connections)
+   * @returns {Object.<String, Object.<String, SQLERExecMetrics>>} The metrics keyed by connection name and then by {@link SQLERExecMeta} `name`
+   */
+  metrics(opts, ...connNames) {
+    const mgr = internal(this), rtn = {};
+    for (let sqls of mgr.at.sqls) {
+      if (connNames.length && !connNames.includes(sqls.connectionName)) continue;
+      rtn[sqls.connectionName] = sqls.metrics(opts && opts.reset);
+    }
+    return rtn;
+  }
+
+  /**
+   * Renders the final SQL statement and bind parameters of a {@link SQLERPreparedFunction} without executing the SQL statement (i.e. the {@link Dialect} is never invoked).
+   * Equivalent to calling the {@link SQLERPreparedFunction} with the {@link SQLERExecOptions} `dryRun` option.
+   * @example
+   * const { sql, binds } = await manager.render('myConn', 'read.my.table', { binds: { id: 1 } });
+   * @param {String} connName The connection name
+   * @param {(String | String[])} path The path to the {@link SQLERPreparedFunction} from the connection namespace (e.g. `read.my.table` for `manager.db.myConn.read.my.table`)
+   * @param {SQLERExecOptions} [opts] The execution options. The SQL statement is always rendered without being executed, so a `dryRun` object (e.g. `{ positional: true }`) is
+   * passed through as-is while any other `dryRun` value is replaced with `true`
+   * @param {String[]} [frags] The fragments to include in the SQL statement
+   * @returns {SQLERRenderResults} The rendered results
+   */
+  async render(connName, path, opts, frags) {
+    const mgr = internal(this), ns = Array.isArray(path) ? path : String(path).split('.');
+    const so = mgr.this[NS][connName] && namespaceContainer(mgr.this[NS][connName], ns.slice(0, -1)), fn = so && so[ns[ns.length - 1]];
+    if (typeof fn !== 'function' || ns[ns.length - 1] === 'beginTransaction') {
+      throw new Error(`Unable to find a prepared function at "${ns.join('.')}" for database connection name ${connName}`);
+    }
+    const dryRun = opts && opts.dryRun && typeof opts.dryRun === 'object' ? Object.assign({}, opts.dryRun) : true;
+    return fn(Object.assign({}, opts, { dryRun }), frags);
+  }
+
+  /**
+   * Statically validates the SQL files for either all the connections used by the manager or the specified connection names (see {@link lint})
+   * @param {...String} [connNames] The connection names to validate the SQL files for (defaults to all connections)
+   * @returns {SQLERLintResults} The lint results
+   */
+  async lint(...connNames) {
+    const mgr = internal(this), connections = [];
+    for (let sqls of mgr.at.sqls) {
+      if (!connNames.length || connNames.includes(sqls.connectionName)) connections.push(sqls.connection);
+    }
+    return lint({ mainPath: mgr.at.mainPath, db: { dialects: mgr.at.dialects, connections } });
+  }
+
+  /**
+   * Generates TypeScript declarations for the {@link SQLERPreparedFunction}(s) of either all the connections used by the manager or the specified connection names (see {@link types})
+   * @param {...String} [connNames] The connection names to generate the declarations for (defaults to all connections)
+   * @returns {String} The TypeScript declarations
+   */
+  async types(...connNames) {
+    const mgr = internal(this), connections = [];
+    for (let sqls of mgr.at.sqls) {
+      if (!connNames.length || connNames.includes(sqls.connectionName)) connections.push(sqls.connection);
+    }
+    return types({ mainPath: mgr.at.mainPath, db: { dialects: mgr.at.dialects, connections } });
+  }
+
   /**
    * Closes all database pools/connections/etc.
    * @returns {SQLEROperationResults} The results
    */
   async close() {
-    return operation(internal(this), 'close');
+    const mgr = internal(this);
+    return trace(mgr.at.hooks.tracer, `${MOD_KEY}.close`, { [`${MOD_KEY}.connections`]: mgr.at.connNames.join() }, null, () => operation(mgr, 'close'));
+  }
+
+  /**
+   * Formats metrics composed by {@link Manager.metrics} into the [Prometheus text-based exposition format](https://prometheus.io/docs/instrumenting/exposition_formats/)
+   * @example
+   * app.get('/metrics', (req, res) => res.type('text/plain').send(Manager.prometheus(manager.metrics())));
+   * @param {Object.<String, Object.<String, SQLERExecMetrics>>} metrics The metrics returned from {@link Manager.metrics}
+   * @param {Object} [opts] The formatting options
+   * @param {String} [opts.prefix=sqler] The prefix used for each of the metric names
+   * @returns {String} The Prometheus formatted metrics
+   */
+  static prometheus(metrics, opts) {
+    const prefix = (opts && opts.prefix) || MOD_KEY, lines = [];
+    const fams = [
+      { name: `${prefix}_executions_total`, type: 'counter', help: 'The number of prepared function executions', value: mtrc => mtrc.count },
+      { name: `${prefix}_execution_errors_total`, type: 'counter', help: 'The number of prepared function executions that resulted in an error', value: mtrc => mtrc.errors },
+      { name: `${prefix}_rows_total`, type: 'counter', help: 'The number of rows returned from prepared function executions', value: mtrc => mtrc.rows },
+      { name: `${prefix}_execution_duration_seconds`, type: 'summary', help: 'The duration of prepared function executions' }
+    ];
+    const label = val => String(val).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    for (let fam of fams) {
+      lines.push(`# HELP ${fam.name} ${fam.help}`, `# TYPE ${fam.name} ${fam.type}`);
+      for (let connName in metrics) {
+        for (let name in metrics[connName]) {
+          const mtrc = metrics[connName][name], lbls = `connection="${label(connName)}",name="${label(name)}"`;
+          if (fam.value) {
+            lines.push(`${fam.name}{${lbls}} ${fam.value(mtrc)}`);
+            continue;
+          }
+          for (let qnm in METRICS_QUANTILES) {
+            lines.push(`${fam.name}{${lbls},quantile="${METRICS_QUANTILES[qnm]}"} ${mtrc.latency[qnm] / 1e3}`);
+          }
+          lines.push(`${fam.name}_sum{${lbls}} ${mtrc.latency.sum / 1e3}`, `${fam.name}_count{${lbls}} ${mtrc.count}`);
+        }
+      }
+    }
+    return `${lines.join('\n')}\n`;
   }
 
   /**
@@ -142,6 +357,22 @@ class Manager {
     return CRUD_TYPES;
   }
 
+  /**
+   * @returns {String[]} The event types emitted by the manager (each event emits a {@link SQLEREvent}):
+   * - `exec:start` - Emitted before a {@link SQLERPreparedFunction} executes a SQL statement via {@link Dialect.exec}
+   * - `exec:end` - Emitted after a {@link SQLERPreparedFunction} has successfully executed a SQL statement
+   * - `exec:error` - Emitted after a {@link SQLERPreparedFunction} has failed to execute a SQL statement
+   * - `tx:begin` - Emitted after a {@link SQLERTransaction} has been started
+   * - `tx:commit` - Emitted after a {@link SQLERTransaction} has been committed
+   * - `tx:rollback` - Emitted after a {@link SQLERTransaction} has been rolled back
+   * - `connection:init` - Emitted after a connection has been initialized (or failed to initialize)
+   * - `connection:close` - Emitted after a connection has been closed (or failed to close)
+   * - `connection:reload` - Emitted after SQL files have been added, removed and/or modified for a connection that is being watched
+   */
+  static get EVENT_TYPES() {
+    return EVENT_TYPES;
+  }
+
   /**
    * @returns {RegExp} A regular expression that globally matches each _named bind parameters_ in a SQL statement. A single capture group is defined for each parameter name (match on entire bind name
    * syntax)
@@ -166,10 +397,6 @@ class Manager {
 function addConnectionToManager(mgr, conn, index, cache, logging, priv) {
   const isExpand = !index && !Number.isInteger(index);
   let idx = index, dialect, dlct, privy;
-  if (isExpand) { // expand connections
-    idx = mgr.at.sqls.length;
-    mgr.at.connNames.length = ++mgr.at.sqls.length;
-  }
   if (!conn.id) throw new Error(`Connection must have an "id" at: ${JSON.stringify(conn)}`);
   if (!conn.name) throw new Error(`Connection must have have a valid "name" at: ${JSON.stringify(conn)}`);
   if (!conn.dialect || typeof conn.dialect !== 'string') throw new Error(`Connection ID ${conn.id} must have have a valid "dialect" name at: ${JSON.stringify(conn)}`);
@@ -201,7 +428,12 @@ function addConnectionToManager(mgr, conn, index, cache, logging, priv) {
   // prepared SQL functions from file(s) that reside under the defined name and dialect (or "default" when dialect is flagged accordingly)
   if (mgr.this[NS][conn.name]) throw new Error(`Database connection ID ${conn.id} cannot have a duplicate name for ${conn.name}`);
   //if (reserved.includes(conn.name)) throw new Error(`Database connection name ${conn.name} for ID ${conn.id} cannot be one of the following reserved names: ${reserved}`);
-  mgr.at.sqls[idx] = new SQLS(NS, mgr.at.mainPath, cache, conn, (mgr.this[NS][conn.name] = {}), new DBS(dialect, conn));
+  const dbs = new DBS(dialect, conn, mgr.at.hooks);
+  if (isExpand) { // expand connections (only after the connection has been validated)
+    idx = mgr.at.sqls.length;
+    mgr.at.connNames.length = ++mgr.at.sqls.length;
+  }
+  mgr.at.sqls[idx] = new SQLS(NS, mgr.at.mainPath, cache, conn, (mgr.this[NS][conn.name] = {}), dbs);
   mgr.at.connNames[idx] = conn.name;
 }
 
@@ -249,6 +481,80 @@ async function operation(mgr, funcName, opts, connNames) {
   return { result, errors: ax.errors };
 }
 
+/**
+ * Statically validates the SQL files for each of the connections in the configuration without connecting to any databases (dialects are not loaded). The same directories that are
+ * scanned during {@link Manager.init} are walked and each SQL file is checked for:
+ * - `tag-malformed` (error) - Substitution tags that are not terminated or cannot be recognized (e.g. `[[version == 1]]`). Only `[[...]]` text that begins like a substitution tag
+ * (i.e. `[[!`, `[[?`, `[[version`, `[[OR`, `[[AND`, `[[VALUES` or `[[page`) is checked, so other SQL syntax (e.g. `ARRAY[[1,2],[3,4]]`) is ignored
+ * - `tag-unclosed` (error) - An opening substitution tag without a matching closing tag (e.g. `[[? key]]` without `[[?]]`)
+ * - `tag-unopened` (error) - A closing (or `[[? else]]`) substitution tag without a matching opening (fragment) tag
+ * - `tag-mismatched` (error) - A closing substitution tag that does not match the type of the innermost opening tag (e.g. `[[? key]] [[! oracle]] [[?]] [[!]]`)
+ * - `page-multiple` (error) - More than one `[[page :offset :limit]]` tag
+ * - `dialect-unknown` (error) - Dialect substitution names that are not defined in `conf.db.dialects`
+ * - `header-invalid` (error) - An invalid {@link SQLERStatementMeta} header
+ * - `include-invalid` (error) - A `-- @include` directive for a SQL file that cannot be read or that is circular (i.e. the SQL file includes itself)
+ * - `name-collision` (error) - SQL file/directory names that collide after the names have been sanitized into {@link SQLERPreparedFunction} paths
+ * - `name-reserved` (error) - SQL file names that contain the reserved `beginTransaction` name
+ * - `directory-missing` (error) - The SQL directory for the connection cannot be read
+ * - `version-unreachable` (warning) - Version substitutions that are not satisfied by the `version` of any of the connections that use the SQL file
+ * - `crud-missing` (warning) - SQL file names that are not prefixed with a CRUD type and do not contain a `-- @type` header
+ * @example
+ * const { lint } = require('sqler');
+ * const rslt = await lint(conf);
+ * if (rslt.errors.length) process.exitCode = 1;
+ * @param {SQLERConfigurationOptions} conf The configuration options (only `mainPath`, `db.dialects` and `db.connections` are used)
+ * @returns {SQLERLintResults} The lint results
+ */
+async function lint(conf) {
+  const dirs = sqlDirectories(conf), dialects = Object.keys(conf.db.dialects).map(dlct => dlct.toLowerCase()), issues = [];
+  for (let [dir, conns] of dirs) { // connections that share the same directory are validated together
+    await lintDirectory(dir, conns, dialects, issues);
+  }
+  return {
+    errors: issues.filter(issue => issue.severity === 'error'),
+    warnings: issues.filter(issue => issue.severity === 'warning')
+  };
+}
+
+/**
+ * Generates [TypeScript](https://www.typescriptlang.org/) declarations for the {@link SQLERPreparedFunction}(s) that will be generated on the `db` namespace of a {@link Manager}
+ * without connecting to any databases (dialects are not loaded). The same directories that are scanned during {@link Manager.init} are walked and a `SQLERDatabase` interface is
+ * declared that contains a property for each connection name along with the {@link SQLERPreparedFunction} paths for each SQL file. Each prepared function declares the bind names
+ * that are present in the SQL file (typed using any {@link SQLERStatementMeta} `binds` declared in the SQL file header) and the fragment keys that are available. Bind parameters
+ * that are `required` in the header or that are used outside of any substitution tags (and are not set on the {@link SQLERConnectionOptions} `binds`) are declared as required.
+ * @example
+ * const { types } = require('sqler');
+ * await Fs.promises.writeFile('sqler-db.d.ts', await types(conf));
+ * // in TypeScript: import type { SQLERDatabase } from './sqler-db';
+ * // const db = mgr.db as SQLERDatabase;
+ * @param {SQLERConfigurationOptions} conf The configuration options (only `mainPath`, `db.dialects` and `db.connections` are used)
+ * @returns {String} The TypeScript declarations
+ */
+async function types(conf) {
+  const dirs = sqlDirectories(conf), decls = [];
+  for (let [dir, conns] of dirs) {
+    const files = [];
+    await walkSqlDirectory(dir, async entry => {
+      if (entry.isDir) return;
+      const data = await Fs.promises.readFile(entry.path, { encoding: 'utf8' }), { meta, sql: raw } = parseHeader(data, entry.path);
+      const sql = await includeSql(raw, entry.path, dir, new Map()), tags = sqlTags(sql), ranges = [], opened = [];
+      for (let tag of tags) { // binds within substitution tags are conditional
+        if (tag.open) opened.push(tag);
+        else if (tag.close && opened.length) ranges.push([opened.pop().index, tag.index]);
+        else if (tag.type === 'expansion') ranges.push([tag.index, tag.index + tag.text.length]);
+      }
+      files.push({
+        ns: entry.ns,
+        meta,
+        frags: [...new Set(tags.filter(tag => tag.type === 'fragment' && tag.open && !tag.bind).map(tag => tag.key))],
+        binds: [...sql.matchAll(POS_BINDS_REGEXP)].map(match => ({ name: match[1], conditional: ranges.some(([start, end]) => match.index > start && match.index < end) }))
+      });
+    });
+    decls.push({ connections: conns, files });
+  }
+  return typeDeclarations(decls);
+}
+
 /**
  * Reads all the perpared SQL definition files for a specified name directory and adds a function to execute the SQL file contents
  * @private
@@ -271,6 +577,7 @@ class SQLS {
     sqls.at.numOfPreparedFuncs = 0;
     sqls.at.basePath = Path.join(sqlBasePth, conn.dir || conn.name);
     sqls.at.cache = cache;
+    sqls.at.includes = new Map();
     sqls.at.conn = conn;
     sqls.at.subs = conn.substitutes;
     sqls.at.subrxs = conn.substitutes && [];
@@ -290,40 +597,17 @@ class SQLS {
     const isPrepared = sqls.at.isPrepared;
     if (!isPrepared) {
       sqls.at.numOfPreparedFuncs = 0;
-      const prepare = async (cont, pnm, pdir) => {
-        let pth, proms = [];
-        try {
-          cont = cont || sqls.at.db;
-          pdir = pdir || sqls.at.basePath;
-          const files = await Fs.promises.readdir(pdir);
-          for (let fi = 0, stat, nm, ns, ext; fi < files.length; ++fi) {
-            pth = Path.resolve(pdir, files[fi]);
-            stat = await Fs.promises.stat(pth);
-            if (stat && stat.isDirectory()) {
-              nm = files[fi].replace(/[^0-9a-zA-Z]/g, '_');
-              proms.push(prepare(cont[nm] = {}, `${pnm ? `${pnm}_` : ''}${nm}`, pth));
-              continue;
-            }
-            if (!files[fi].endsWith('.sql')) continue;
-            nm = files[fi].replace(/[^0-9a-zA-Z\.]/g, '_');
-            ns = nm.split('.');
-            ext = ns.pop();
-            nm = `${sqls.at.conn.dialect}_${sqls.at.conn.name}_${pnm ? `${pnm}_` : ''}${ns.join('_')}`;
-            for (let ni = 0, nl = ns.length, so = cont; ni < nl; ++ni) {
-              if (ns[ni] === 'beginTransaction') throw new Error(`SQL "${fpth}" cannot contain reserved "beginTransaction"`);
-              so[ns[ni]] = so[ns[ni]] || (ni < nl - 1 ? {} : await sqls.this.prepared(nm, pth, ext));
-              so = so[ns[ni]];
-            }
-          }
-          await Promise.all(proms);
-        } catch (err) {
-          if (sqls.at.conn.errorLogging) sqls.at.conn.errorLogging(`Failed to build SQL statements from files in directory ${pth || pdir}`, err);
-          throw err;
-        }
-      };
-      await prepare();
+      sqls.at.files = new Map();
+      const found = await sqls.this.scan();
+      for (let dir of found.dirs) {
+        namespaceContainer(sqls.at.db, dir.ns, true);
+      }
+      for (let file of found.files) {
+        await sqls.this.register(file);
+      }
       sqls.at.db.beginTransaction = opts => sqls.at.dbs.beginTransaction(opts);
       sqls.at.isPrepared = true;
+      if (sqls.at.conn.watch) sqls.this.watch([...found.dirs, ...includeDirectories(sqls.at.includes)]);
     }
     if (!isPrepared || !sqls.at.initResult) {
       sqls.at.initResult = await sqls.at.dbs.init({ numOfPreparedFuncs: sqls.at.numOfPreparedFuncs });
@@ -331,6 +615,175 @@ class SQLS {
     return sqls.at.initResult;
   }
 
+  /**
+   * Scans a directory (and any subdirectories) for SQL files
+   * @protected
+   * @param {String} [pdir] The directory to scan (defaults to the base path for the connection)
+   * @param {String} [pnm] The name prefix composed from the parent directory names
+   * @param {String[]} [pns] The namespace path composed from the parent directory names
+   * @param {Object} [found] Where the discovered directories and files will be captured
+   * @returns {Object} The discovered `dirs` and `files` where each directory contains the `path`/`ns` and each file contains the `path`, `name`, `ext`, `ns` and `mtime`
+   */
+  async scan(pdir, pnm, pns, found) {
+    const sqls = internal(this);
+    let pth, proms = [];
+    pdir = pdir || sqls.at.basePath;
+    pns = pns || [];
+    found = found || { dirs: [{ path: pdir, ns: pns }], files: [] };
+    try {
+      const files = await Fs.promises.readdir(pdir);
+      for (let fi = 0, stat, nm, ns, ext; fi < files.length; ++fi) {
+        pth = Path.resolve(pdir, files[fi]);
+        stat = await Fs.promises.stat(pth);
+        if (stat && stat.isDirectory()) {
+          nm = sanitizeName(files[fi]);
+          found.dirs.push({ path: pth, ns: [...pns, nm] });
+          proms.push(sqls.this.scan(pth, `${pnm ? `${pnm}_` : ''}${nm}`, [...pns, nm], found));
+          continue;
+        }
+        if (!files[fi].endsWith('.sql')) continue;
+        nm = sanitizeName(files[fi], true);
+        ns = nm.split('.');
+        ext = ns.pop();
+        if (ns.includes('beginTransaction')) throw new Error(`SQL "${pth}" cannot contain reserved "beginTransaction"`);
+        nm = `${sqls.at.conn.dialect}_${sqls.at.conn.name}_${pnm ? `${pnm}_` : ''}${ns.join('_')}`;
+        found.files.push({ path: pth, name: nm, ext, ns: [...pns, ...ns], mtime: stat.mtimeMs });
+      }
+      await Promise.all(proms);
+    } catch (err) {
+      if (sqls.at.conn.errorLogging) sqls.at.conn.errorLogging(`Failed to build SQL statements from files in directory ${pth || pdir}`, err);
+      throw err;
+    }
+    return found;
+  }
+
+  /**
+   * Generates a {@link SQLERPreparedFunction} for a file discovered via {@link SQLS.scan} and adds it to the connection namespace
+   * @protected
+   * @param {Object} file The file that was discovered during the scan
+   */
+  async register(file) {
+    const sqls = internal(this);
+    const so = namespaceContainer(sqls.at.db, file.ns.slice(0, -1), true), leaf = file.ns[file.ns.length - 1];
+    if (so[leaf] && sqls.at.files.has(file.path) && sqls.at.files.get(file.path).fn === so[leaf]) { // re-registration
+      delete so[leaf];
+      sqls.at.numOfPreparedFuncs--;
+    }
+    if (!so[leaf]) {
+      file.fn = so[leaf] = await sqls.this.prepared(file.name, file.path, file.ext);
+    }
+    sqls.at.files.set(file.path, file);
+  }
+
+  /**
+   * Removes a {@link SQLERPreparedFunction} that was added via {@link SQLS.register} from the connection namespace
+   * @protected
+   * @param {Object} file The file that was previously registered
+   */
+  async unregister(file) {
+    const sqls = internal(this);
+    const leaf = file.ns[file.ns.length - 1], so = namespaceContainer(sqls.at.db, file.ns.slice(0, -1));
+    sqls.at.files.delete(file.path);
+    sqls.at.includes.delete(file.path);
+    if (!so || so[leaf] !== file.fn) return; // another file is occupying the namespace
+    delete so[leaf];
+    pruneNamespace(sqls.at.db, file.ns.slice(0, -1));
+    delete sqls.at.stms.methods[file.name];
+    sqls.at.numOfPreparedFuncs--;
+    if (sqls.at.cache) await sqls.at.cache.drop(`${MOD_KEY}:db:${file.name}:${file.ext}`);
+  }
+
+  /**
+   * Watches the SQL directories for added, renamed and/or removed SQL files (and directories) and adds/removes the corresponding {@link SQLERPreparedFunction}(s)
+   * on the connection namespace
+   * @protected
+   * @param {Object[]} dirs The directories to watch that were discovered via {@link SQLS.scan}
+   */
+  watch(dirs) {
+    const sqls = internal(this);
+    const delay = (typeof sqls.at.conn.watch === 'object' && sqls.at.conn.watch.delay) || 100;
+    sqls.at.watchers = sqls.at.watchers || new Map();
+    const reload = () => {
+      clearTimeout(sqls.at.watchTimer);
+      sqls.at.watchTimer = setTimeout(() => {
+        sqls.at.reloading = (sqls.at.reloading || Promise.resolve()).then(() => sqls.this.reload()).catch(err => {
+          if (sqls.at.conn.errorLogging) sqls.at.conn.errorLogging(`Failed to reload SQL files from ${sqls.at.basePath}`, err);
+        });
+      }, delay);
+    };
+    for (let dir of dirs) {
+      if (sqls.at.watchers.has(dir.path)) continue;
+      try {
+        const watcher = Fs.watch(dir.path, reload);
+        watcher.on('error', () => sqls.this.unwatch(dir.path));
+        sqls.at.watchers.set(dir.path, watcher);
+      } catch (err) {
+        if (sqls.at.conn.errorLogging) sqls.at.conn.errorLogging(`Failed to watch SQL directory ${dir.path}`, err);
+      }
+    }
+  }
+
+  /**
+   * Stops watching one or more SQL directories
+   * @protected
+   * @param {...String} [dirPaths] The directory paths to stop watching (omit to stop watching all directories)
+   */
+  unwatch(...dirPaths) {
+    const sqls = internal(this);
+    if (!sqls.at.watchers) return;
+    if (!dirPaths.length) {
+      clearTimeout(sqls.at.watchTimer);
+      dirPaths = [...sqls.at.watchers.keys()];
+    }
+    for (let dirPath of dirPaths) {
+      if (!sqls.at.watchers.has(dirPath)) continue;
+      sqls.at.watchers.get(dirPath).close();
+      sqls.at.watchers.delete(dirPath);
+    }
+  }
+
+  /**
+   * Rescans the watched SQL directories and adds/removes {@link SQLERPreparedFunction}(s) for any SQL files that have been added, renamed or removed since the last scan.
+   * Static SQL statements (i.e. when no {@link SQLERCache} is being used) that have been modified will also be regenerated. SQL statements that contain a `-- @include`
+   * of a SQL file that has been modified since the statement was read are regenerated and dropped from the {@link SQLERCache} (when present).
+   * @protected
+   * @returns {Object} The reload results containing the `added`, `removed` and `modified` SQL file paths
+   */
+  async reload() {
+    const sqls = internal(this);
+    if (!sqls.at.isPrepared) return;
+    const found = await sqls.this.scan(), rtn = { added: [], removed: [], modified: [] };
+    const paths = new Set(found.files.map(file => file.path));
+    for (let [fpth, file] of sqls.at.files) {
+      if (paths.has(fpth)) continue;
+      await sqls.this.unregister(file);
+      rtn.removed.push(fpth);
+    }
+    for (let file of found.files) {
+      const existing = sqls.at.files.get(file.path), included = existing && await includesModified(sqls.at.includes.get(file.path));
+      if (existing && !included && (sqls.at.cache || existing.mtime === file.mtime)) continue;
+      if (included && sqls.at.cache) await sqls.at.cache.drop(`${MOD_KEY}:db:${file.name}:${file.ext}`);
+      await sqls.this.register(file);
+      rtn[existing ? 'modified' : 'added'].push(file.path);
+    }
+    const dirs = [...found.dirs, ...includeDirectories(sqls.at.includes)], dirPaths = new Set(dirs.map(dir => dir.path));
+    for (let dirPath of [...sqls.at.watchers.keys()]) {
+      if (!dirPaths.has(dirPath)) sqls.this.unwatch(dirPath);
+    }
+    for (let dir of found.dirs) {
+      namespaceContainer(sqls.at.db, dir.ns, true);
+    }
+    sqls.this.watch(dirs);
+    if (rtn.added.length || rtn.removed.length || rtn.modified.length) {
+      if (sqls.at.conn.logging) {
+        sqls.at.conn.logging(`Reloaded SQL files from ${sqls.at.basePath} (added: ${JSON.stringify(rtn.added)}, removed: ${
+          JSON.stringify(rtn.removed)}, modified: ${JSON.stringify(rtn.modified)})`);
+      }
+      sqls.at.dbs.emit('connection:reload', () => rtn);
+    }
+    return rtn;
+  }
+
   /**
    * Generates a function that will execute a pre-defined SQL statement contained within a SQL file (and handle caching of that file)
    * @protected
@@ -341,12 +794,13 @@ class SQLS {
    */
   async prepared(name, fpth, ext) {
     const sqls = internal(this);
-    if (sqls.at.conn.logging) sqls.at.conn.logging(`Generating prepared function for ${fpth} at name ${name}`);
-    let crud = Path.parse(fpth).name.match(/[^\.]*/)[0].toUpperCase();
+    let crud = Path.parse(fpth).name.match(/[^\.]*/)[0].toUpperCase(), meta, deprecationLogged;
     if (!CRUD_TYPES.includes(crud)) crud = null;
+    let sql = await readSqlFile(); // header needs to be captured at prepare time
     if (sqls.at.conn.logging) {
       sqls.at.conn.logging(`Generating prepared function for ${fpth} at name ${name}${
-        crud ? '' : ` (statement execution must include "opts.type" set to one of ${CRUD_TYPES.join(',')} since the SQL file path is not prefixed with the type)`}`);
+        crud || meta.type ? '' : ` (statement execution must include "opts.type" set to one of ${CRUD_TYPES.join(',')
+        } since the SQL file path is not prefixed with the type and there is no "-- @type" header)`}`);
     }
     // cache the SQL statement capture in order to accommodate dynamic file updates on expiration
     sqls.at.stms = sqls.at.stms || { methods: {} };
@@ -356,27 +810,32 @@ class SQLS {
       sqls.at.stms.methods[name][ext] = async function cachedSql(opts, execFn) { // execute the SQL statement with cached statements
         let sql;
         const cached = await sqls.at.cache.get(id);
-        if (!cached || !cached.item) {
+        if (!cached || !cached.item || (includesChecked() && await includesModified(sqls.at.includes.get(fpth)))) {
           if (sqls.at.conn.logging) sqls.at.conn.logging(`Refreshing cached ${fpth} at ID ${id}`);
           sql = await readSqlFile();
-          sqls.at.cache.set(id, sql); // no need to await set
+          sqls.at.cache.set(id, sql, meta.ttl); // no need to await set
         } else sql = cached.item;
         return await execFn(sql);
       };
     } else {
       if (sqls.at.conn.logging) sqls.at.conn.logging(`Setting static ${fpth} at "${name}"`);
-      const sql = await readSqlFile();
       sqls.at.stms.methods[name][ext] = async function staticSql(opts, execFn) { // execute the SQL statement with static statements
+        if (includesChecked() && await includesModified(sqls.at.includes.get(fpth))) sql = await readSqlFile(); // re-read modified includes
         return await execFn(sql);
       };
     }
     sqls.at.numOfPreparedFuncs++;
 
     /**
+     * Reads the SQL file, captures/strips any {@link SQLERStatementMeta} header that may be present and replaces any `-- @include` directives with the included SQL file contents
      * @returns {String} the SQL contents from the SQL file
      */
     async function readSqlFile() {
       let data = await Fs.promises.readFile(fpth, { encoding: 'utf8' });
+      const includes = new Map();
+      ({ meta, sql: data } = parseHeader(data, fpth));
+      data = await includeSql(data, fpth, sqls.at.basePath, includes);
+      sqls.at.includes.set(fpth, includes);
       if (data && sqls.at.subrxs) for (let i = 0, l = sqls.at.subrxs.length; i < l; ++i) {
         data = data.replace(sqls.at.subrxs[i].from, sqls.at.subrxs[i].to); // substitutions
       }
@@ -384,15 +843,65 @@ class SQLS {
       // return ext === 'json' ? JSON.parse(data.toString('utf8').replace(/^\uFEFF/, '')) : data; // when present, replace BOM before parsing JSON result
     }
 
+    /**
+     * Determines if the modified times of the SQL files included by the SQL file need to be checked before execution. Watched connections regenerate the
+     * {@link SQLERPreparedFunction} instead (see {@link SQLS.reload}).
+     * @returns {Boolean} `true` when the SQL file includes other SQL files and the connection is not being watched
+     */
+    function includesChecked() {
+      const includes = sqls.at.includes.get(fpth);
+      return !sqls.at.conn.watch && !!includes && includes.size > 0;
+    }
+
     /**
     * Sets/formats SQL parameters and executes an SQL statement
     * @see SQLERPreparedFunction
     */
-    return async function execSqlPublic(opts, frags, errorOpts) {
-      const binds = {}, mopt = { binds, opts: frags }, type = (opts && opts.type && opts.type.toUpperCase()) || crud;
+    async function execSqlPublic(opts, frags, errorOpts) {
+      const xctx = execOptions(opts, frags);
+      return await sqls.at.stms.methods[name][ext](xctx.mopt, sqls.this.genExecSqlFromFileFunction(name, fpth, xctx.xopts, xctx.frags, errorOpts, xctx.ctrl));
+    }
+
+    /**
+    * Sets/formats SQL parameters and executes an SQL statement once for each of the bind parameter sets
+    * @see SQLERPreparedBatchFunction
+    */
+    async function execSqlBatch(bindsList, opts, frags, errorOpts) {
+      if (!Array.isArray(bindsList) || !bindsList.length) {
+        throw new Error(`SQL batch execution at "${fpth}" must include a non-empty array of bind parameter sets`);
+      }
+      const xctx = execOptions(opts, frags), dateFormatter = (opts && opts.dateFormatter) || sqls.at.dateFormatter;
+      const list = bindsList.map(binds => {
+        const xbinds = {}; // merged with the shared binds by the DBS (so middleware modifications of the shared binds are reflected in each set)
+        for (let i in binds) {
+          xbinds[i] = binds[i] instanceof Date ? sqls.this.formatDate(binds[i], dateFormatter) : binds[i];
+        }
+        return xbinds;
+      });
+      return await sqls.at.stms.methods[name][ext](xctx.mopt, async function execSqlBatchFromFile(sql) {
+        return await sqls.at.dbs.execBatch(name, fpth, sql, xctx.xopts, list, xctx.frags, errorOpts, xctx.ctrl);
+      });
+    }
+
+    /**
+    * Sets/formats the SQL parameters and execution options
+    * @param {SQLERExecOptions} [opts] The execution options passed into the {@link SQLERPreparedFunction}
+    * @param {String[]} [frags] The fragments passed into the {@link SQLERPreparedFunction}
+    * @returns {Object} The resolved `frags`, the options passed into the statement method (`mopt`), the options passed into the {@link Dialect} (`xopts`) and the execution
+    * controls (`ctrl`)
+    */
+    function execOptions(opts, frags) {
+      if (!frags && meta.frags) frags = [...meta.frags];
+      const binds = {}, mopt = { binds, opts: frags }, type = (opts && opts.type && opts.type.toUpperCase()) || meta.type || crud;
       if (!type || !CRUD_TYPES.includes(type)) {
         throw new Error(`Statement execution at "${fpth}" must include "opts.type" set to one of ${
-          CRUD_TYPES.join(',')} since the SQL file name was not prefixed with a valid type (found: ${type})`);
+          CRUD_TYPES.join(',')} since the SQL file name was not prefixed with a valid type and there is no "-- @type" header (found: ${type})`);
+      }
+      if (meta.deprecated && !deprecationLogged) {
+        deprecationLogged = true;
+        if (sqls.at.conn.logging) {
+          sqls.at.conn.logging(`SQL ${fpth} is deprecated${typeof meta.deprecated === 'string' ? `: ${meta.deprecated}` : ''}`);
+        }
       }
       if (sqls.at.conn.binds) for (let i in sqls.at.conn.binds) {
         if (!opts || !opts.binds || !opts.binds.hasOwnProperty(i)) {
@@ -422,12 +931,26 @@ class SQLS {
       if (opts && opts.driverOptions) xopts.driverOptions = opts.driverOptions;
       if (opts && opts.prepareStatement) xopts.prepareStatement = !!opts.prepareStatement;
       if (opts && opts.transactionId) xopts.transactionId = opts.transactionId;
-      if (!xopts.autoCommit && !xopts.transactionId && !xopts.prepareStatement) {
+      const timeout = opts && opts.hasOwnProperty('timeout') ? opts.timeout : meta.hasOwnProperty('timeout') ? meta.timeout : sqls.at.conn.timeout;
+      if (timeout) xopts.timeout = timeout;
+      if (opts && opts.signal) xopts.signal = opts.signal;
+      if (opts && opts.stream) xopts.stream = true;
+      const ctrl = {}; // execution controls that are not passed into the dialect
+      if (opts && opts.traceContext) ctrl.traceContext = opts.traceContext;
+      if (opts && opts.hasOwnProperty('retry')) ctrl.retry = opts.retry;
+      if (opts && opts.hasOwnProperty('rowMapping')) ctrl.rowMapping = opts.rowMapping;
+      if (meta.binds) ctrl.binds = meta.binds;
+      if (meta.script) ctrl.script = meta.script;
+      if (opts && opts.dryRun) ctrl.dryRun = opts.dryRun;
+      if (!ctrl.dryRun && !xopts.autoCommit && !xopts.transactionId && !xopts.prepareStatement) {
         throw new Error(`SQL execution at "${fpth}" must include "opts.transactionId" when "opts.autoCommit = false" and` +
         ` "opts.prepareStatement = false". Try setting "const tx = await manager.${sqls.at.ns}.${sqls.at.conn.name}.beginTransaction(); opts.transactionId = tx.id"`);
       }
-      return await sqls.at.stms.methods[name][ext](mopt, sqls.this.genExecSqlFromFileFunction(name, fpth, xopts, frags, errorOpts));
-    };
+      return { frags, mopt, xopts, ctrl };
+    }
+    Object.defineProperty(execSqlPublic, 'meta', { enumerable: true, get: () => meta });
+    execSqlPublic.batch = execSqlBatch;
+    return execSqlPublic;
   }
 
   formatDate(bind, dfunc) {
@@ -439,10 +962,10 @@ class SQLS {
     } else return bind;
   }
 
-  genExecSqlFromFileFunction(name, fpth, opts, frags, errorOpts) {
+  genExecSqlFromFileFunction(name, fpth, opts, frags, errorOpts, ctrl) {
     const sqls = internal(this);
     return async function execSqlFromFile(sql) {
-      return await sqls.at.dbs.exec(name, fpth, sql, opts, frags, errorOpts);
+      return await sqls.at.dbs.exec(name, fpth, sql, opts, frags, errorOpts, ctrl);
     };
   }
 
@@ -450,7 +973,49 @@ class SQLS {
    * Iterates through and terminates the different database connection pools
    */
   async close() {
-    return internal(this).at.dbs.close();
+    const sqls = internal(this);
+    sqls.this.unwatch();
+    return sqls.at.dbs.close();
+  }
+
+  /**
+   * Registers a {@link SQLERMiddleware} for the connection
+   * @param {SQLERMiddleware} middleware The middleware to register
+   */
+  use(middleware) {
+    return internal(this).at.dbs.use(middleware);
+  }
+
+  /**
+   * Composes the execution metrics for the connection
+   * @param {Boolean} [reset] Truthy to reset the metrics once they have been composed
+   * @returns {Object.<String, SQLERExecMetrics>} The metrics keyed by {@link SQLERExecMeta} `name`
+   */
+  metrics(reset) {
+    return internal(this).at.dbs.metrics(reset);
+  }
+
+  /**
+   * Releases all of the generated {@link SQLERPreparedFunction}(s) and drops any SQL statements that may reside in the {@link SQLERCache}
+   */
+  async release() {
+    const sqls = internal(this);
+    const methods = (sqls.at.stms && sqls.at.stms.methods) || {};
+    sqls.this.unwatch();
+    sqls.at.stms = null;
+    sqls.at.files = null;
+    sqls.at.includes.clear();
+    sqls.at.numOfPreparedFuncs = 0;
+    sqls.at.isPrepared = false;
+    sqls.at.initResult = null;
+    if (!sqls.at.cache) return;
+    const proms = [];
+    for (let name in methods) {
+      for (let ext in methods[name]) {
+        proms.push(sqls.at.cache.drop(`${MOD_KEY}:db:${name}:${ext}`));
+      }
+    }
+    return Promise.all(proms);
   }
 
   /**
@@ -474,6 +1039,13 @@ class SQLS {
     return internal(this).at.conn.name;
   }
 
+  /**
+   * @returns {SQLERConnectionOptions} the connection options associated with the {@link SQLS} instance
+   */
+  get connection() {
+    return internal(this).at.conn;
+  }
+
   /**
    * @returns {Boolean} True when all of the SQL functions have been prepared
    */
@@ -500,14 +1072,38 @@ class DBS {
    * @constructs DBS
    * @param {Dialect} dialect the database dialect implementation/executor to use
    * @param {SQLERConnectionOptions} conn the connection options
+   * @param {Object} hooks the hooks shared by all of the connections on the originating {@link Manager}
+   * @param {EventEmitter} hooks.emitter the emitter where {@link Manager.EVENT_TYPES} will be emitted
+   * @param {SQLERMiddleware[]} hooks.middleware the middleware that will be invoked for every execution (prior to any connection specific middleware)
    */
-  constructor(dialect, conn) {
+  constructor(dialect, conn, hooks) {
     const dbs = internal(this);
     dbs.at.dialect = dialect;
+    dbs.at.hooks = hooks;
+    dbs.at.middleware = [];
+    dbs.at.metrics = new Map();
+    dbs.at.streams = new Map();
+    dbs.at.connName = conn.name;
     dbs.at.dialectName = conn.dialect.toLowerCase();
     dbs.at.errorLogging = conn.errorLogging;
     dbs.at.logging = conn.logging;
     dbs.at.version = conn.version || 0;
+    if (typeof dbs.at.version !== 'number' && !versionParts(dbs.at.version)) {
+      throw new Error(`Invalid version "${dbs.at.version}" for connection ${conn.name}. Must be a number or a dotted version string (e.g. "12.1.0.2")`);
+    }
+    dbs.at.retry = conn.retry;
+    dbs.at.rowMapping = conn.rowMapping;
+    dbs.at.validateBinds = conn.validateBinds !== false;
+    dbs.at.warnUnusedBinds = !!conn.warnUnusedBinds;
+    dbs.at.connBinds = conn.binds ? Object.keys(conn.binds) : [];
+    dbs.at.maxBinds = conn.maxBinds || BIND_LIMIT_DIALECTS[dbs.at.dialectName] || Infinity;
+    dbs.at.pagination = conn.pagination || PAGINATION_DIALECTS[dbs.at.dialectName] || 'limit';
+    if (!PAGINATIONS.hasOwnProperty(dbs.at.pagination)) {
+      throw new Error(`Invalid pagination "${dbs.at.pagination}" for connection ${conn.name}. Must be one of: ${Object.keys(PAGINATIONS).join(', ')}`);
+    }
+    if (conn.circuitBreaker) {
+      dbs.at.circuit = Object.assign({}, CIRCUIT_DEFAULTS, conn.circuitBreaker, { state: 'closed', failures: 0, opened: 0, trial: false });
+    }
   }
 
   /**
@@ -517,7 +1113,7 @@ class DBS {
    */
   async init(opts) {
     const dbs = internal(this);
-    return await dbs.at.dialect.init(opts);
+    return dbs.this.operate('init', () => dbs.this.attempt(retryPolicy(dbs.at.retry), `${dbs.at.connName} initialization`, () => dbs.at.dialect.init(opts)));
   }
 
   /**
@@ -527,7 +1123,24 @@ class DBS {
    */
   async beginTransaction(opts) {
     const dbs = internal(this);
-    return dbs.at.dialect.beginTransaction(generateGUID(), opts || {});
+    const txId = generateGUID(), started = process.hrtime(), traceContext = opts && opts.traceContext;
+    const attrs = dbs.this.spanAttributes({ [`${MOD_KEY}.transaction.id`]: txId });
+    const tx = await trace(dbs.at.hooks.tracer, `${MOD_KEY}.transaction.begin`, attrs, traceContext, () => dbs.at.dialect.beginTransaction(txId, opts || {}));
+    dbs.this.emit('tx:begin', () => ({ transactionId: txId }));
+    for (let fname of ['commit', 'rollback']) {
+      const func = tx[fname];
+      if (typeof func !== 'function') continue;
+      tx[fname] = async function transactionEnd() {
+        const streams = dbs.at.streams.get(txId);
+        if (streams) for (let stream of streams) {
+          stream.destroy(); // streams cannot outlive the transaction they were executed in
+        }
+        const rtn = await trace(dbs.at.hooks.tracer, `${MOD_KEY}.transaction.${fname}`, attrs, traceContext, () => func.apply(this, arguments));
+        dbs.this.emit(`tx:${fname}`, () => ({ transactionId: txId, duration: elapsed(started) }));
+        return rtn;
+      };
+    }
+    return tx;
   }
 
   /**
@@ -539,23 +1152,54 @@ class DBS {
   * @param {String[]} frags The frament keys within the SQL that will be retained
   * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] Truthy to return any errors thrown during execution rather than throwing them.
   * Can also pass {@link SQLERExecErrorOptions} for more control over execution errors.
+  * @param {Object} [ctrl] The execution controls that are not passed into the {@link Dialect}
+  * @param {*} [ctrl.traceContext] The parent context used when starting the execution span on the {@link SQLERTracer}
+  * @param {(SQLERRetryOptions | Boolean)} [ctrl.retry] The retry options that will override the retry options on the {@link SQLERConnectionOptions} (`false` to disable retries)
+  * @param {(SQLERRowMappingOptions | Boolean)} [ctrl.rowMapping] The row mapping options that will override the row mapping options on the {@link SQLERConnectionOptions}
+  * (`false` to disable row mapping)
+  * @param {String} [ctrl.script] The statement delimiter declared via the {@link SQLERStatementMeta} `script` (see {@link DBS.execScript})
+  * @param {String} [ctrl.rendered] The SQL that has already been rendered from the SQL source using the execution option `binds` (see {@link DBS.execSequence})
   * @returns {SQLERExecResults} The execution results
   */
-  async exec(name, fpth, sql, opts, frags, errorOpts) {
-    const dbs = internal(this);
-    const sqlf = dbs.this.segmentSubs(sql, opts.binds, frags);
+  async exec(name, fpth, sql, opts, frags, errorOpts, ctrl = {}) {
+    const dbs = internal(this), traceContext = ctrl.traceContext;
+    if (ctrl.dryRun) return dbs.this.render(sql, opts, frags, ctrl.dryRun);
+    if (ctrl.script) return dbs.this.execScript(name, fpth, sql, opts, frags, errorOpts, ctrl);
+    const chunks = !ctrl.chunked && valuesChunks(sql, opts.binds, dbs.at.maxBinds);
+    if (chunks) return dbs.this.execChunks(name, fpth, sql, opts, frags, errorOpts, ctrl, chunks);
     // framework that executes SQL may output SQL, so, we dont want to output it again if logging is on
     if (dbs.at.logging) {
       dbs.at.logging(`Executing SQL ${fpth} with options ${JSON.stringify(opts)}${frags ? ` framents used ${JSON.stringify(frags)}` : ''}`);
     }
+    const meta = { name, path: fpth }, started = process.hrtime(), ctx = dbs.this.context(meta, sql, opts, frags, errorOpts, traceContext);
+    const event = props => Object.assign({ meta, options: redactOptions(ctx.options), fragments: ctx.fragments }, props);
     let rslt;
     try {
-      const meta = { name, path: fpth };
-      rslt = await dbs.at.dialect.exec(sqlf, opts, frags, meta, errorOpts); // execute the prepared SQL statement
+      if (dbs.at.validateBinds && ctrl.binds) validateDeclaredBinds(fpth, opts.binds, ctrl.binds); // before any array expansions take place
+      if (ctrl.rendered) ctx.sql = ctrl.rendered;
+      else ctx.render();
+      dbs.this.emit('exec:start', () => event());
+      rslt = await trace(dbs.at.hooks.tracer, `${MOD_KEY}.exec`, dbs.this.spanAttributes({
+        [`${MOD_KEY}.name`]: name,
+        [`${MOD_KEY}.file`]: fpth,
+        [`${MOD_KEY}.type`]: opts.type,
+        [`${MOD_KEY}.transaction.id`]: opts.transactionId
+      }), traceContext, async span => {
+        const retry = retryPolicy(dbs.at.retry, ctrl.retry, opts.transactionId);
+        const rslt = await limit(signal => {
+          if (signal) ctx.options.signal = signal; // aborted on timeout so that the dialect can cancel the execution
+          return dbs.this.pipe(ctx, retry);
+        }, opts.timeout, opts.signal, fpth);
+        if (span && rslt && Array.isArray(rslt.rows)) span.setAttribute(`${MOD_KEY}.rows`, rslt.rows.length);
+        return rslt;
+      });
+      const mapping = rowMapper(dbs.at.rowMapping, ctrl.rowMapping);
+      if (opts.stream && rslt) rslt.rows = dbs.this.stream(meta, opts, rslt.rows, mapping);
+      else if (mapping && rslt && Array.isArray(rslt.rows)) rslt.rows = mapRows(rslt.rows, mapping);
     } catch (err) {
+      const duration = elapsed(started);
       try {
-        const eopts = JSON.parse(JSON.stringify(opts));
-        eopts.binds = errorOpts && errorOpts.includeBindValues ? eopts.binds : Object.keys(opts.binds);
+        const eopts = redactOptions(opts, errorOpts && errorOpts.includeBindValues);
         if (dbs.at.errorLogging) {
           dbs.at.errorLogging(`SQL ${eopts.name ? `named "${eopts.name}" at ` : ''
           }${fpth} failed ${err.message || JSON.stringify(err)} (options: ${JSON.stringify(eopts)}, state: ${
@@ -565,7 +1209,7 @@ class DBS {
         err[MOD_KEY] = err[MOD_KEY] || {};
         err[MOD_KEY].name = name;
         err[MOD_KEY].file = fpth;
-        err[MOD_KEY].sql = sqlf;
+        err[MOD_KEY].sql = ctx.sql;
         err[MOD_KEY].options = eopts;
         err[MOD_KEY].fragments = frags;
         err.message = `${err.message}\n${JSON.stringify(err[MOD_KEY], null, ' ')}`;
@@ -574,6 +1218,14 @@ class DBS {
           dbs.at.errorLogging(`Failed to set ${MOD_KEY} error properties for error at SQL: ${fpth}`, frmtErr);
         }
       }
+      try { // the original error should always be surfaced, even when a listener fails
+        dbs.this.measure(meta, duration, null, err);
+        dbs.this.emit('exec:error', () => event({ duration, error: err }));
+      } catch (evtErr) {
+        if (dbs.at.errorLogging) {
+          dbs.at.errorLogging(`Failed to emit exec:error event for error at SQL: ${fpth}`, evtErr);
+        }
+      }
       if (errorOpts && errorOpts.handler && typeof errorOpts.handler === 'function') {
         errorOpts.handler(err);
       }
@@ -582,6 +1234,9 @@ class DBS {
       }
       throw err;
     }
+    const duration = elapsed(started);
+    dbs.this.measure(meta, duration, rslt);
+    dbs.this.emit('exec:end', () => event({ duration, rowCount: rslt && Array.isArray(rslt.rows) ? rslt.rows.length : undefined }));
     if (dbs.at.logging) {
       dbs.at.logging(`SQL ${fpth} returned with ${(rslt && rslt.rows && rslt.rows.length) || 0} records (options: ${JSON.stringify(opts)}, state: ${
         JSON.stringify(dbs.at.dialect.state)
@@ -591,71 +1246,673 @@ class DBS {
   }
 
   /**
-  * Replaces or removes tagged substitution segments that appear in an SQL statement
-  * - __Expansions__ - Expands _bind_ variables that contain an array of values when they appear in the SQL statement. For example, an SQL statement with a section that contains
-  * `IN (:someParam)` and _binds_ of `{ someParam: [1,2,3] }` would become `IN (:someParam, :someParam1, :someParam2)` with _binds_ of `{ someParam: 1, someParam1: 2, SomeParam2: 3 }`
-  * - __Dialects__ - Replaces SQL segments that contain an open `[[! myDialectName]]` and closing `[[!]]` with the SQL content that is between the opening and closing _dialect_ tags
-  * when the {@link SQLERConnectionOptions} contains the designated _dialect_ name (`myDialectName` in this case). For example, 
-  * `[[! oracle]] SOME_COL = SUBSTR(SOME_COL, 1, 1) [[!]] [[! mssql]] SOME_COL = SUBSTRING(SOME_COL FROM 1 FOR 1) [[!]]`
-  * would become `SOME_COL = SUBSTR(SOME_COL, 1, 1)` when using an `oracle` dialect, `SOME_COL = SUBSTRING(SOME_COL FROM 1 FOR 1)` when using an `mssql` dialect and omitted using any
-  * other dialect.
-  * - __Versions__ - Replaces SQL segments that contain an open `[[version = 1]]` and closing `[[version]]` with the SQL content that is between the opening and closing _version_ tags
-  * when the {@link SQLERConnectionOptions} contains a _version_ that satisfys the comparative operator for the version within the tag designator. For example,
-  * `[[version <= 1]] SOME_OLD_COL [[version]] [[version > 1]] SOME_NEW_COL [[version]]` would become `SOME_OLD_COL` using a {@link SQLERConnectionOptions} _version_ that is less than
-  * or equal to `1`, but woud become `SOME_NEW_COL` when the _version_ is greater than `1`.
-  * - __Fragments__ - Replaces SQL segments that contain an open `[[? someKey]]` and closing `[[?]]` with the SQL content that is between the opening and closing _fragment_ tags when
-  * the `keys` contain the designated fragment identifier. For example, `WHERE SOME_COL1 = 1 [[? someKey]] AND SOME_COL2 = 2 [[?]]` would become `WHERE SOME_COL1 = 1 AND SOME_COL2 = 2`
-  * when `keys` contains `[ 'someKey' ]`. If `keys` does not contain `someKey`, the statement would just become `WHERE SOME_COL1 = 1`.
-  * @param {String} sql The SQL to defragement
-  * @param {Object} [binds] An object that contains the SQL parameterized `binds` that will be used for parameterized array composition
-  * @param {String[]} [frags] Fragment keys which will remain intact within the SQL
-  * @returns {String} The defragmented SQL
-  */
- segmentSubs(sql, binds, frags) {
+   * Executes a SQL statement once for each of the bind parameter sets. The SQL statement is rendered once (see {@link DBS.segmentSubs}) using the shared `binds` from the execution
+   * options (i.e. the bind parameter sets are not used to evaluate fragment conditions or array expansions). When the {@link Dialect} implements {@link Dialect.execMany}, all of the
+   * bind parameter sets are passed to the dialect in a single call. Otherwise, {@link DBS.exec} is called sequentially for each bind parameter set within the same transaction. When
+   * the execution options do not contain a `transactionId`, a transaction is started and is committed after all of the bind parameter sets have been executed (or rolled back when
+   * the execution of any of the bind parameter sets fails, in which case the remaining bind parameter sets are skipped and the prior bind parameter sets are reported as
+   * `rolledBack`).
+   * @param {String} name The name given to the SQL file
+   * @param {String} fpth The originating file path where the SQL resides
+   * @param {String} sql The SQL to execute
+   * @param {SQLERExecOptions} opts The execution options
+   * @param {Object[]} bindsList The bind parameter sets (each merged with the shared execution options `binds`)
+   * @param {String[]} frags The frament keys within the SQL that will be retained
+   * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] The error options (see {@link DBS.exec})
+   * @param {Object} [ctrl] The execution controls (see {@link DBS.exec})
+   * @returns {SQLERBatchResults} The batch execution results
+   */
+  async execBatch(name, fpth, sql, opts, bindsList, frags, errorOpts, ctrl = {}) {
     const dbs = internal(this);
-    // expansion substitutes
-    if (binds) {
-      // AND/OR conjunction expansions
-      sql = sql.replace(/\[\[(OR|AND)([\S\s]*?)(:)(\w+)([\S\s]*?)\s*\]\]/gi, function sqlExpandConjRpl(match, conjunction, prefix, bindKey, bindName, suffix) {
-        return DBS.segmentSubExpanded(binds, bindKey, bindName, ` ${conjunction}`, prefix, suffix);
+    if (ctrl.dryRun) {
+      const rendered = dbs.this.render(sql, opts, frags, {}); // binds include any expansion/pagination substitutions
+      return { sql: rendered.sql, binds: bindsList.map(binds => Object.assign({}, rendered.binds, binds)) };
+    }
+    if (dbs.at.validateBinds && ctrl.binds) {
+      for (let binds of bindsList) {
+        validateDeclaredBinds(fpth, Object.assign({}, opts.binds, binds), ctrl.binds);
+      }
+    }
+    if (typeof dbs.at.dialect.execMany !== 'function') {
+      const rendered = dbs.this.render(sql, opts, frags, {}); // rendered once using the shared binds and reused by each execution
+      const merged = bindsList.map(binds => Object.assign({}, rendered.binds, binds));
+      return dbs.this.execSequence(name, fpth, sql, opts, merged, frags, errorOpts, Object.assign({}, ctrl, { rendered: rendered.sql }));
+    }
+    const meta = { name, path: fpth }, started = process.hrtime(), ctx = dbs.this.context(meta, sql, opts, frags, errorOpts, ctrl.traceContext, bindsList);
+    const event = props => Object.assign({ meta, options: redactOptions(ctx.options), fragments: ctx.fragments, batchSize: ctx.bindsList.length }, props);
+    let rslt;
+    try {
+      ctx.render();
+      dbs.this.emit('exec:start', () => event());
+      rslt = await trace(dbs.at.hooks.tracer, `${MOD_KEY}.execMany`, dbs.this.spanAttributes({
+        [`${MOD_KEY}.name`]: name,
+        [`${MOD_KEY}.file`]: fpth,
+        [`${MOD_KEY}.type`]: opts.type,
+        [`${MOD_KEY}.transaction.id`]: opts.transactionId,
+        [`${MOD_KEY}.batch.size`]: bindsList.length
+      }), ctrl.traceContext, () => {
+        const retry = retryPolicy(dbs.at.retry, ctrl.retry, opts.transactionId);
+        return limit(signal => {
+          if (signal) ctx.options.signal = signal; // aborted on timeout so that the dialect can cancel the execution
+          return dbs.this.pipe(ctx, retry);
+        }, opts.timeout, opts.signal, fpth);
       });
-      // simple expansions using comma separations
-      sql = sql.replace(/(:)([a-z]+[0-9]*?)/gi, function sqlArrayRpl(match, bindKey, bindName) {
-        return DBS.segmentSubExpanded(binds, bindKey, bindName);
+      rslt = rslt || {};
+      const mapping = rowMapper(dbs.at.rowMapping, ctrl.rowMapping), results = rslt.results;
+      rslt.results = ctx.bindsList.map((binds, idx) => {
+        const xrslt = (results && results[idx]) || {};
+        if (mapping && Array.isArray(xrslt.rows)) xrslt.rows = mapRows(xrslt.rows, mapping);
+        return xrslt;
       });
+    } catch (err) {
+      const duration = elapsed(started);
+      try {
+        if (err && typeof err === 'object') {
+          err[MOD_KEY] = Object.assign(err[MOD_KEY] || {}, {
+            name, file: fpth, sql: ctx.sql, options: redactOptions(opts, errorOpts && errorOpts.includeBindValues), fragments: frags
+          });
+        }
+        dbs.this.measure(meta, duration, null, err);
+        dbs.this.emit('exec:error', () => event({ duration, error: err }));
+      } catch (frmtErr) {
+        if (dbs.at.errorLogging) dbs.at.errorLogging(`Failed to set ${MOD_KEY} error properties for error at SQL: ${fpth}`, frmtErr);
+      }
+      if (errorOpts && typeof errorOpts.handler === 'function') errorOpts.handler(err);
+      if (errorOpts === true || (errorOpts && errorOpts.returnErrors)) return { error: err };
+      throw err;
     }
-    // dialect substitutes
-    sql = sql.replace(/((?:\r?\n|\n)*)-{0,2}\[\[\!(?!\[\[\!)\s*(\w+)\s*\]\](?:\r?\n|\n)*([\S\s]*?)-{0,2}\[\[\!\]\]((?:\r?\n|\n)*)/g, function sqlDiaRpl(match, lb1, key, fsql, lb2) {
-      return (key && key.toLowerCase() === dbs.at.dialectName && fsql && (lb1 + fsql)) || ((lb1 || lb2) && ' ') || '';
-    });
-    // version substitutes
-    sql = sql.replace(/((?:\r?\n|\n)*)-{0,2}\[\[version(?!\[\[version)\s*(=|<=?|>=?|<>)\s*[+-]?(\d+\.?\d*)\s*\]\](?:\r?\n|\n)*([\S\s]*?)-{0,2}\[\[version\]\]((?:\r?\n|\n)*)/gi, function sqlVerRpl(match, lb1, key, ver, fsql, lb2) {
-      return (key && ver && !isNaN(ver = parseFloat(ver)) && COMPARE[key](dbs.at.version, ver) && fsql && (lb1 + fsql)) || ((lb1 || lb2) && ' ') || '';
-    });
-    // fragment substitutes
-    sql = sql.replace(/((?:\r?\n|\n)*)-{0,2}\[\[\?(?!\[\[\?)\s*(\w+)\s*\]\](?:\r?\n|\n)*([\S\s]*?)-{0,2}\[\[\?\]\]((?:\r?\n|\n)*)/g, function sqlFragRpl(match, lb1, key, fsql, lb2) {
-      return (key && frags && frags.indexOf(key) >= 0 && fsql && (lb1 + fsql)) || ((lb1 || lb2) && ' ') || '';
-    });
-    return sql;
+    const duration = elapsed(started);
+    dbs.this.measure(meta, duration, rslt);
+    dbs.this.emit('exec:end', () => event({ duration }));
+    return rslt;
   }
 
   /**
-   * Expenads a bind parameter using surrounding separators and expands the binds to reflect multiple values.
-   * @param {Object} binds The key/value bind parameters to use
-   * @param {String} bindKey The key that will be used when expanding the binding parameter names (e.g. `:`)
-   * @param {String} bindName The bound parameter that will be expanded
-   * @param {String} [conjunction=', '] The conjunction that will be used to separate the expanded binds
-   * (e.g. conjunction = ', '; bindKey = ':'; bindName = 'myBind'; binds = { myBind: [1,2] };` would result in
-   * `:myBind, :myBind1` with `binds = { myBind: 1, myBind1: 2 }`)
-   * @param {String} prefix The prefix that will be used before each expanded bind parameter
-   * (e.g. `prefix = 'UPPER('; suffix = ')'; conjunction = ' OR'; bindKey = ':'; bindName = 'myBind'; binds = { myBind: [1,2] };` would result in
-   * `UPPER(:myBind) OR UPPER(:myBind1)` with `binds = { myBind: 1, myBind1: 2 }`)
-   * @param {String} suffix The suffix that will be used after each expended bind parameter
-   * (e.g. `prefix = 'UPPER('; suffix = ')'; conjunction = ' OR'; bindKey = ':'; bindName = 'myBind'; binds = { myBind: [1,2] };` would result in
-   * `UPPER(:myBind) OR UPPER(:myBind1)` with `binds = { myBind: 1, myBind1: 2 }`)
+   * Executes a SQL statement sequentially for each of the bind parameter sets using {@link DBS.exec} (see {@link DBS.execBatch}). When the transaction started by the sequence is
+   * rolled back due to a failed bind parameter set, the results of the bind parameter sets that were executed before the failure are reported as `rolledBack`.
+   * @param {String} name The name given to the SQL file
+   * @param {String} fpth The originating file path where the SQL resides
+   * @param {String} sql The SQL source
+   * @param {SQLERExecOptions} opts The execution options
+   * @param {Object[]} bindsList The bind parameter sets (each merged with the rendered binds)
+   * @param {String[]} frags The frament keys within the SQL that will be retained
+   * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] The error options (see {@link DBS.exec})
+   * @param {Object} ctrl The execution controls (see {@link DBS.exec}) that contain the `rendered` SQL
+   * @returns {SQLERBatchResults} The batch execution results
    */
-  static segmentSubExpanded(binds, bindKey, bindName, conjunction = ', ', prefix = '', suffix = '') {
-    let newKeys = '';
+  async execSequence(name, fpth, sql, opts, bindsList, frags, errorOpts, ctrl) {
+    const dbs = internal(this), rslt = { results: [], raw: [] }, eopts = Object.assign({}, errorOpts, { returnErrors: true });
+    const tx = !opts.transactionId && await dbs.this.beginTransaction({ traceContext: ctrl.traceContext });
+    let failed = false;
+    try {
+      for (let i = 0, last = bindsList.length - 1; i <= last; ++i) {
+        if (failed) {
+          rslt.results.push({ skipped: true });
+          continue;
+        }
+        const xopts = Object.assign({}, opts, { binds: bindsList[i] });
+        if (tx) xopts.transactionId = tx.id;
+        if (tx || i < last) xopts.autoCommit = false;
+        const xrslt = await dbs.this.exec(name, fpth, sql, xopts, frags, eopts, ctrl);
+        failed = !!xrslt.error;
+        rslt.results.push(failed ? { error: xrslt.error } : { affected: xrslt.affected, rows: xrslt.rows });
+        rslt.raw.push(xrslt.raw);
+      }
+    } catch (err) {
+      if (tx) await tx.rollback();
+      throw err;
+    }
+    if (tx && failed) {
+      await tx.rollback();
+      rslt.results = rslt.results.map(xrslt => xrslt.error || xrslt.skipped ? xrslt : { rolledBack: true }); // writes were not applied
+    } else if (tx) await tx.commit();
+    return rslt;
+  }
+
+  /**
+   * Executes a SQL statement that contains a `[[VALUES (...)]]` tag in multiple chunks so that the number of bind parameters in each execution does not exceed the connection
+   * `maxBinds`. Each chunk is executed using {@link DBS.exec} within the same transaction. When the execution options do not contain a `transactionId`, a transaction is started
+   * and is committed after all of the chunks have been executed (or rolled back when any of the chunks fail).
+   * @param {String} name The name given to the SQL file
+   * @param {String} fpth The originating file path where the SQL resides
+   * @param {String} sql The SQL to execute
+   * @param {SQLERExecOptions} opts The execution options
+   * @param {String[]} frags The frament keys within the SQL that will be retained
+   * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] The error options (see {@link DBS.exec})
+   * @param {Object} ctrl The execution controls (see {@link DBS.exec})
+   * @param {Object} chunks The chunks that will be executed
+   * @param {String} chunks.name The bind name that contains the array of row objects
+   * @param {Object[][]} chunks.rows The row objects for each chunk
+   * @returns {SQLERExecResults} The execution results in the same shape as a single execution: the `rows` from each chunk concatenated, the `affected` rows summed across the
+   * chunks (when reported by the {@link Dialect}), the `raw` results of the last chunk and the `affected`/`raw` results for each chunk in `chunks`
+   */
+  async execChunks(name, fpth, sql, opts, frags, errorOpts, ctrl, chunks) {
+    const dbs = internal(this), rslt = { rows: [], chunks: [] };
+    const tx = !opts.transactionId && await dbs.this.beginTransaction({ traceContext: ctrl.traceContext });
+    try {
+      for (let i = 0, last = chunks.rows.length - 1; i <= last; ++i) {
+        const copts = Object.assign({}, opts, { binds: Object.assign({}, opts.binds, { [chunks.name]: chunks.rows[i] }) });
+        if (tx) copts.transactionId = tx.id;
+        if (tx || i < last) copts.autoCommit = false;
+        const crslt = await dbs.this.exec(name, fpth, sql, copts, frags, errorOpts, Object.assign({}, ctrl, { chunked: true }));
+        if (crslt && crslt.error) {
+          if (tx) await tx.rollback();
+          return crslt;
+        }
+        if (crslt && Array.isArray(crslt.rows)) rslt.rows.push(...crslt.rows);
+        if (crslt && typeof crslt.affected === 'number') rslt.affected = (rslt.affected || 0) + crslt.affected;
+        rslt.raw = crslt && crslt.raw;
+        rslt.chunks.push({ affected: crslt && crslt.affected, raw: rslt.raw });
+      }
+    } catch (err) {
+      if (tx) await tx.rollback();
+      throw err;
+    }
+    if (tx) await tx.commit();
+    return rslt;
+  }
+
+  /**
+   * Executes a SQL script that contains multiple SQL statements separated by the delimiter declared via the {@link SQLERStatementMeta} `script`. The dialect, version and
+   * fragment substitutions are made on the entire script before it is split into statements (see {@link DBS.segmentTagSubs}) so that substitutions can span multiple statements.
+   * Each statement is then executed in order using {@link DBS.exec} within the same transaction. When the execution options do not contain a `transactionId`, a transaction is
+   * started and is committed after all of the statements have been executed (or rolled back when any of the statements fail, in which case the remaining statements are not
+   * executed).
+   * @param {String} name The name given to the SQL file
+   * @param {String} fpth The originating file path where the SQL resides
+   * @param {String} sql The SQL script to execute
+   * @param {SQLERExecOptions} opts The execution options
+   * @param {String[]} frags The frament keys within the SQL that will be retained
+   * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] The error options (see {@link DBS.exec})
+   * @param {Object} ctrl The execution controls (see {@link DBS.exec})
+   * @returns {SQLERExecResults} The execution results with the {@link SQLERScriptStatementResults} for each statement and the `raw` results from each statement in an array
+   */
+  async execScript(name, fpth, sql, opts, frags, errorOpts, ctrl) {
+    const dbs = internal(this), rslt = { statements: [], raw: [] };
+    if (opts.stream || opts.prepareStatement) {
+      throw new Error(`SQL script at "${fpth}" cannot be executed using "opts.stream" or "opts.prepareStatement"`);
+    }
+    const stms = scriptStatements(dbs.this.segmentTagSubs(sql, opts.binds, frags), ctrl.script), sctrl = Object.assign({}, ctrl, { script: null });
+    if (!stms.length) throw new Error(`SQL script at "${fpth}" does not contain any statements (delimiter: "${ctrl.script}")`);
+    const tx = !opts.transactionId && await dbs.this.beginTransaction({ traceContext: ctrl.traceContext });
+    const failed = (index, err) => {
+      if (err && typeof err === 'object' && err[MOD_KEY]) err[MOD_KEY].statement = index;
+      return tx && tx.rollback();
+    };
+    for (let i = 0, last = stms.length - 1, srslt, started; i <= last; ++i) {
+      const sopts = Object.assign({}, opts, { binds: Object.assign({}, opts.binds) }); // expansions are made on the binds for each statement
+      if (tx) sopts.transactionId = tx.id;
+      if (tx || i < last) sopts.autoCommit = false;
+      started = process.hrtime();
+      try {
+        srslt = await dbs.this.exec(name, fpth, stms[i], sopts, frags, errorOpts, sctrl);
+      } catch (err) {
+        await failed(i, err);
+        throw err;
+      }
+      if (srslt && srslt.error) {
+        await failed(i, srslt.error);
+        return Object.assign(rslt, { error: srslt.error });
+      }
+      rslt.statements.push({
+        index: i,
+        sql: stms[i],
+        rows: srslt && srslt.rows,
+        affected: srslt && srslt.affected,
+        duration: elapsed(started),
+        raw: srslt && srslt.raw
+      });
+      rslt.raw.push(srslt && srslt.raw);
+    }
+    if (tx) await tx.commit();
+    return rslt;
+  }
+
+  /**
+   * Registers a {@link SQLERMiddleware} for the connection
+   * @param {SQLERMiddleware} middleware The middleware to register
+   */
+  use(middleware) {
+    internal(this).at.middleware.push(middleware);
+  }
+
+  /**
+   * Renders a SQL statement the same way as {@link DBS.exec} without executing the SQL statement on the underlying {@link Dialect}
+   * @param {String} sql The SQL source
+   * @param {SQLERExecOptions} opts The execution options that contain the merged `binds` (array binds will be expanded)
+   * @param {String[]} [frags] The fragments to include in the SQL statement
+   * @param {(Boolean | Object)} dryRun The {@link SQLERExecOptions} `dryRun` option
+   * @returns {SQLERRenderResults} The rendered results
+   */
+  render(sql, opts, frags, dryRun) {
+    const dbs = internal(this), binds = Object.assign({}, opts.binds);
+    const rslt = { sql: dbs.this.segmentSubs(sql, binds, frags), binds };
+    if (dryRun.positional) {
+      const pbinds = [];
+      rslt.positional = { sql: positionalBinds(rslt.sql, binds, pbinds, dryRun.positional === true ? undefined : dryRun.positional), binds: pbinds };
+    }
+    return rslt;
+  }
+
+  /**
+   * Generates the execution context that is passed through the {@link SQLERMiddleware} (see {@link DBS.pipe})
+   * @param {SQLERExecMeta} meta The metadata used to generate the execution
+   * @param {String} sql The SQL statement source
+   * @param {SQLERExecOptions} opts The execution options
+   * @param {String[]} [frags] The frament keys within the SQL that will be retained
+   * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] The error options (see {@link DBS.exec})
+   * @param {*} [traceContext] The parent context used when starting the execution span on the {@link SQLERTracer}
+   * @param {Object[]} [bindsList] The bind parameter sets of a {@link SQLERPreparedBatchFunction} (see {@link DBS.execBatch})
+   * @returns {SQLERExecContext} The execution context
+   */
+  context(meta, sql, opts, frags, errorOpts, traceContext, bindsList) {
+    const dbs = internal(this);
+    const ctx = {
+      connection: dbs.at.connName,
+      dialect: dbs.at.dialectName,
+      meta,
+      source: sql,
+      sql,
+      options: opts,
+      fragments: frags,
+      errorOptions: errorOpts,
+      traceContext,
+      render() { // rendered using a copy of the binds since expansions/pagination modify the binds
+        const binds = Object.assign({}, ctx.options.binds);
+        ctx.sql = dbs.this.segmentSubs(ctx.source, binds, ctx.fragments);
+        ctx.options.binds = binds;
+        return ctx.sql;
+      }
+    };
+    if (bindsList) ctx.bindsList = bindsList;
+    return ctx;
+  }
+
+  /**
+   * Invokes the registered {@link SQLERMiddleware} followed by the execution of the SQL statement on the underlying {@link Dialect}
+   * @param {SQLERExecContext} ctx The execution context
+   * @param {SQLERRetryOptions} retry The retry options used when executing the SQL statement on the underlying {@link Dialect}
+   * @returns {SQLERExecResults} The execution results
+   */
+  async pipe(ctx, retry) {
+    const dbs = internal(this), mws = [...dbs.at.hooks.middleware, ...dbs.at.middleware];
+    let last = -1;
+    const dispatch = async idx => {
+      if (idx <= last) throw new Error(`Middleware for ${ctx.meta.path} called "next()" multiple times`);
+      last = idx;
+      if (idx < mws.length) return mws[idx](ctx, () => dispatch(idx + 1));
+      if (ctx.bindsList) {
+        const bindsList = ctx.bindsList.map(binds => Object.assign({}, ctx.options.binds, binds));
+        if (dbs.at.validateBinds) {
+          for (let binds of bindsList) {
+            dbs.this.validateBinds({ sql: ctx.sql, options: { binds }, meta: ctx.meta });
+          }
+        }
+        return dbs.this.attempt(retry, ctx.meta.path, () => dbs.this.guard(() => {
+          return dbs.at.dialect.execMany(ctx.sql, ctx.options, bindsList, ctx.fragments, ctx.meta, ctx.errorOptions); // execute the batch
+        }));
+      }
+      if (dbs.at.validateBinds) dbs.this.validateBinds(ctx);
+      const func = ctx.options.stream && typeof dbs.at.dialect.execStream === 'function' ? 'execStream' : 'exec';
+      return dbs.this.attempt(retry, ctx.meta.path, () => dbs.this.guard(() => {
+        return dbs.at.dialect[func](ctx.sql, ctx.options, ctx.fragments, ctx.meta, ctx.errorOptions); // execute the prepared SQL statement
+      }));
+    };
+    return dispatch(0);
+  }
+
+  /**
+   * Validates that every `:name` bind parameter in the rendered SQL statement is present in the execution `binds` (i.e. the merged {@link SQLERExecOptions} and
+   * {@link SQLERConnectionOptions} `binds`). When {@link SQLERConnectionOptions} `warnUnusedBinds` is _truthy_, any execution `binds` that are not present in the SQL statement
+   * will be logged.
+   * @param {SQLERExecContext} ctx The execution context
+   */
+  validateBinds(ctx) {
+    const dbs = internal(this), binds = ctx.options.binds || {}, names = new Set();
+    for (let match of ctx.sql.matchAll(POS_BINDS_REGEXP)) {
+      names.add(match[1]);
+    }
+    const missing = [...names].filter(name => !binds.hasOwnProperty(name) || binds[name] === undefined);
+    if (missing.length) throw bindsError(ctx.meta.path, missing);
+    if (dbs.at.warnUnusedBinds && dbs.at.logging) {
+      const unused = Object.keys(binds).filter(name => !names.has(name) && !dbs.at.connBinds.includes(name));
+      if (unused.length) dbs.at.logging(`SQL ${ctx.meta.path} contains unused bind parameters: ${unused.join(', ')}`);
+    }
+  }
+
+  /**
+   * Invokes a function that performs an operation on the underlying {@link Dialect} and retries the operation when the {@link Dialect.isTransientError} classifies a thrown
+   * error as transient (waiting an exponential backoff between each attempt). The number of attempts made is set on the thrown error's `sqler.attempts`.
+   * @param {SQLERRetryOptions} retry The retry options
+   * @param {String} label The label that identifies the operation (used for logging)
+   * @param {Function} func The `async function()` that performs the operation
+   * @returns {*} The operation result
+   */
+  async attempt(retry, label, func) {
+    const dbs = internal(this), dialect = dbs.at.dialect;
+    for (let attempt = 1; ; ++attempt) {
+      try {
+        return await func();
+      } catch (err) {
+        if (attempt >= retry.attempts || typeof dialect.isTransientError !== 'function' || !dialect.isTransientError(err)) {
+          if (err && typeof err === 'object') {
+            err[MOD_KEY] = err[MOD_KEY] || {};
+            err[MOD_KEY].attempts = attempt;
+          }
+          throw err;
+        }
+        const delay = backoff(retry, attempt);
+        if (dbs.at.logging) {
+          dbs.at.logging(`Retrying ${label} in ${delay} ms (attempt ${attempt + 1} of ${retry.attempts}) due to transient error: ${err.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Invokes a function that performs an operation on the underlying {@link Dialect} through the circuit breaker (when enabled via {@link SQLERConnectionOptions} `circuitBreaker`).
+   * While the circuit is _open_ the operation fails fast with an error that has `code = 'SQLER_CIRCUIT_OPEN'`. Once the cool-down has elapsed the circuit becomes _half-open_ and
+   * a single trial operation is allowed through. Errors that the {@link SQLERConnectionOptions} `circuitBreaker.isFailure` (or {@link Dialect.isCircuitFailure}) classifies as
+   * failures count towards opening the circuit (every error when neither is present), any other outcome indicates that the database is reachable and closes the circuit.
+   * @param {Function} func The `async function()` that performs the operation
+   * @returns {*} The operation result
+   */
+  async guard(func) {
+    const dbs = internal(this), circuit = dbs.at.circuit, dialect = dbs.at.dialect;
+    if (!circuit) return func();
+    const isFailure = typeof circuit.isFailure === 'function' ? circuit.isFailure
+      : typeof dialect.isCircuitFailure === 'function' ? err => dialect.isCircuitFailure(err) : null;
+    if (circuit.state === 'open' && Date.now() - circuit.opened >= circuit.cooldown) circuit.state = 'half-open';
+    if (circuit.state === 'open' || circuit.trial) {
+      const err = new Error(`Circuit breaker for connection "${dbs.at.connName}" is ${circuit.state} (failing fast until ${
+        new Date(circuit.opened + circuit.cooldown).toISOString()})`);
+      err.code = CIRCUIT_OPEN_CODE;
+      throw err;
+    }
+    const trial = circuit.trial = circuit.state === 'half-open';
+    let failed = false;
+    try {
+      return await func();
+    } catch (err) {
+      failed = !isFailure || !!isFailure(err); // every error is a failure when errors cannot be classified
+      throw err;
+    } finally {
+      circuit.trial = false;
+      if (failed && (trial || ++circuit.failures >= circuit.threshold)) {
+        circuit.state = 'open';
+        circuit.opened = Date.now();
+        if (dbs.at.errorLogging) {
+          dbs.at.errorLogging(`Circuit breaker for connection "${dbs.at.connName}" opened after ${circuit.failures} consecutive failure(s) for ${circuit.cooldown} ms`);
+        }
+      } else if (!failed) {
+        circuit.state = 'closed';
+        circuit.failures = 0;
+      }
+    }
+  }
+
+  /**
+   * Pipes rows returned by {@link Dialect.execStream} (or {@link Dialect.exec}) into an object mode `Readable` stream that counts the rows as they are consumed. Destroying the
+   * returned stream (e.g. `break` within a `for await` loop) destroys the rows returned by the dialect so that the dialect can release any resources that are held by the execution.
+   * Streams that are executed within a transaction are destroyed when the transaction is committed or rolled back.
+   * @param {SQLERExecMeta} meta The metadata for the SQL that was executed
+   * @param {SQLERExecOptions} opts The execution options
+   * @param {(Readable | AsyncIterable | Array)} rows The rows returned by the dialect
+   * @param {SQLERRowMappingOptions} [mapping] The row mapping options applied to each row (`groupBy` is not applied to streamed rows)
+   * @returns {Readable} The object mode stream of rows
+   */
+  stream(meta, opts, rows, mapping) {
+    const dbs = internal(this), names = new Map();
+    let count = 0, streams;
+    const counter = new Transform({
+      objectMode: true,
+      transform(row, encoding, done) {
+        count++;
+        done(null, mapping ? mapRow(row, mapping, names) : row);
+      }
+    });
+    if (opts.transactionId) {
+      streams = dbs.at.streams.get(opts.transactionId) || new Set();
+      dbs.at.streams.set(opts.transactionId, streams.add(counter));
+    }
+    return pipeline(rows || [], counter, err => {
+      if (streams) {
+        streams.delete(counter);
+        if (!streams.size) dbs.at.streams.delete(opts.transactionId);
+      }
+      const mtrc = dbs.at.metrics.get(meta.name);
+      if (mtrc) mtrc.rows += count;
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE' && dbs.at.errorLogging) {
+        dbs.at.errorLogging(`SQL ${meta.path} failed to stream rows after ${count} row(s)`, err);
+      }
+    });
+  }
+
+  /**
+   * Records the execution metrics for a prepared function
+   * @param {SQLERExecMeta} meta The metadata for the SQL that was executed
+   * @param {Number} duration The number of milliseconds that the execution took
+   * @param {SQLERExecResults} [rslt] The execution results (when successful)
+   * @param {Error} [err] The execution error (when unsuccessful)
+   */
+  measure(meta, duration, rslt, err) {
+    const dbs = internal(this);
+    let mtrc = dbs.at.metrics.get(meta.name);
+    if (!mtrc) {
+      mtrc = { name: meta.name, path: meta.path, count: 0, errors: 0, rows: 0, sum: 0, min: duration, max: duration, samples: [], next: 0 };
+      dbs.at.metrics.set(meta.name, mtrc);
+    }
+    mtrc.count++;
+    if (err) mtrc.errors++;
+    else if (rslt && Array.isArray(rslt.rows)) mtrc.rows += rslt.rows.length;
+    mtrc.sum += duration;
+    mtrc.min = Math.min(mtrc.min, duration);
+    mtrc.max = Math.max(mtrc.max, duration);
+    mtrc.samples[mtrc.next] = duration; // ring buffer of the most recent durations
+    mtrc.next = (mtrc.next + 1) % METRICS_SAMPLE_SIZE;
+  }
+
+  /**
+   * Composes the execution metrics for each of the prepared functions that have been executed on the connection
+   * @param {Boolean} [reset] Truthy to reset the metrics once they have been composed
+   * @returns {Object.<String, SQLERExecMetrics>} The metrics keyed by {@link SQLERExecMeta} `name`
+   */
+  metrics(reset) {
+    const dbs = internal(this), rtn = {};
+    for (let [name, mtrc] of dbs.at.metrics) {
+      const sorted = [...mtrc.samples].sort((a, b) => a - b), latency = { sum: mtrc.sum, min: mtrc.min, max: mtrc.max, mean: mtrc.sum / mtrc.count };
+      for (let qnm in METRICS_QUANTILES) {
+        latency[qnm] = sorted[Math.ceil(METRICS_QUANTILES[qnm] * sorted.length) - 1];
+      }
+      rtn[name] = { connection: dbs.at.connName, name, path: mtrc.path, count: mtrc.count, errors: mtrc.errors, rows: mtrc.rows, latency };
+    }
+    if (reset) dbs.at.metrics.clear();
+    return rtn;
+  }
+
+  /**
+   * Performs an operation on the underlying {@link Dialect} and emits the corresponding `connection:<OPERATION>` event
+   * @param {String} type The type of operation being performed (e.g. `init`, `close`, etc.)
+   * @param {Function} func The `async function()` that performs the operation
+   * @returns {*} The operation result
+   */
+  async operate(type, func) {
+    const dbs = internal(this);
+    const started = process.hrtime();
+    let result, error;
+    try {
+      return result = await func();
+    } catch (err) {
+      throw error = err;
+    } finally {
+      dbs.this.emit(`connection:${type}`, () => ({ duration: elapsed(started), result, error }));
+    }
+  }
+
+  /**
+   * Composes the attributes for a span started on the {@link SQLERTracer}
+   * @param {Object} [attrs] The span specific attributes (`undefined` values will be excluded)
+   * @returns {Object} The attributes that include the connection name and dialect
+   */
+  spanAttributes(attrs) {
+    const dbs = internal(this);
+    const rtn = { [`${MOD_KEY}.connection`]: dbs.at.connName, [`${MOD_KEY}.dialect`]: dbs.at.dialectName };
+    for (let key in attrs) {
+      if (typeof attrs[key] !== 'undefined') rtn[key] = attrs[key];
+    }
+    return rtn;
+  }
+
+  /**
+   * Emits an event on the {@link Manager} (when there are listeners for the event)
+   * @param {String} type One of the {@link Manager.EVENT_TYPES}
+   * @param {Function} data A `function()` that returns the event specific properties that will be included in the {@link SQLEREvent}
+   * (only invoked when there are listeners for the event)
+   */
+  emit(type, data) {
+    const dbs = internal(this), emitter = dbs.at.hooks.emitter;
+    if (!emitter.listenerCount(type)) return;
+    emitter.emit(type, Object.assign({ type, connection: dbs.at.connName, dialect: dbs.at.dialectName }, data()));
+  }
+
+  /**
+  * Replaces or removes tagged substitution segments that appear in an SQL statement
+  * - __Expansions__ - Expands _bind_ variables that contain an array of values when they appear in the SQL statement. For example, an SQL statement with a section that contains
+  * `IN (:someParam)` and _binds_ of `{ someParam: [1,2,3] }` would become `IN (:someParam, :someParam1, :someParam2)` with _binds_ of `{ someParam: 1, someParam1: 2, SomeParam2: 3 }`
+  * - __Dialects__ - Replaces SQL segments that contain an open `[[! myDialectName]]` and closing `[[!]]` with the SQL content that is between the opening and closing _dialect_ tags
+  * when the {@link SQLERConnectionOptions} contains the designated _dialect_ name (`myDialectName` in this case). For example, 
+  * `[[! oracle]] SOME_COL = SUBSTR(SOME_COL, 1, 1) [[!]] [[! mssql]] SOME_COL = SUBSTRING(SOME_COL FROM 1 FOR 1) [[!]]`
+  * would become `SOME_COL = SUBSTR(SOME_COL, 1, 1)` when using an `oracle` dialect, `SOME_COL = SUBSTRING(SOME_COL FROM 1 FOR 1)` when using an `mssql` dialect and omitted using any
+  * other dialect. Dialect tags can also contain a list of dialect names (e.g. `[[! postgres, mysql]]`), a negated list (e.g. `[[! !oracle]]` for every dialect except `oracle`) or
+  * `default` (i.e. `[[! default]]`) for SQL content that is only included when none of the preceding dialect segments in the same group (i.e. only separated by whitespace) were
+  * included.
+  * - __Versions__ - Replaces SQL segments that contain an open `[[version = 1]]` and closing `[[version]]` with the SQL content that is between the opening and closing _version_ tags
+  * when the {@link SQLERConnectionOptions} contains a _version_ that satisfys the comparative operator for the version within the tag designator. For example,
+  * `[[version <= 1]] SOME_OLD_COL [[version]] [[version > 1]] SOME_NEW_COL [[version]]` would become `SOME_OLD_COL` using a {@link SQLERConnectionOptions} _version_ that is less than
+  * or equal to `1`, but woud become `SOME_NEW_COL` when the _version_ is greater than `1`. Dotted versions are compared component-wise and multiple comparisons can be used to
+  * express a range where every comparison must be satisfied (e.g. `[[version >= 12.1 < 19]]` would be satisfied by a _version_ of `12.1.0.2`, but not by `19.3`).
+  * - __Fragments__ - Replaces SQL segments that contain an open `[[? someKey]]` and closing `[[?]]` with the SQL content that is between the opening and closing _fragment_ tags when
+  * the `keys` contain the designated fragment identifier. For example, `WHERE SOME_COL1 = 1 [[? someKey]] AND SOME_COL2 = 2 [[?]]` would become `WHERE SOME_COL1 = 1 AND SOME_COL2 = 2`
+  * when `keys` contains `[ 'someKey' ]`. If `keys` does not contain `someKey`, the statement would just become `WHERE SOME_COL1 = 1`. Fragments can also be conditioned on the
+  * presence of a _bind_ parameter value that is not `undefined` or `null` (e.g. `[[? :someBind]]`), negated (e.g. `[[? !someKey]]` or `[[? !:someBind]]`) and contain an
+  * `[[? else]]` tag that separates the SQL that is included when the condition is satisfied from the SQL that is included when it is not (e.g.
+  * `[[? :name]] WHERE NAME = :name [[? else]] ORDER BY NAME [[?]]`).
+  * - __Values__ - Expands a `[[VALUES (:rows.id, :rows.name)]]` tag into a multi-row `VALUES (:rows_0_id, :rows_0_name), (:rows_1_id, :rows_1_name)` clause when the _binds_ contain
+  * an array of row objects (e.g. `{ rows: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }] }`). The array bind is replaced with the flattened binds (see {@link DBS.segmentSubValues}).
+  * - __Pagination__ - Replaces a `[[page :offset :limit]]` tag with the pagination syntax for the dialect using the designated _offset_ and _limit_ bind parameters (see {@link DBS#paginate})
+  *
+  * _Dialect_, _version_ and _fragment_ tags can be nested within one another to any depth (e.g. `[[! oracle]] [[? withAudit]] AUDIT_COL [[?]] [[!]]`). Nested content is only included
+  * when each of the enclosing tags are satisfied. An error is thrown when a closing tag does not match the innermost opening tag or when an opening tag is never closed.
+  * @param {String} sql The SQL to defragement
+  * @param {Object} [binds] An object that contains the SQL parameterized `binds` that will be used for parameterized array composition
+  * @param {String[]} [frags] Fragment keys which will remain intact within the SQL
+  * @returns {String} The defragmented SQL
+  */
+ segmentSubs(sql, binds, frags) {
+    const dbs = internal(this);
+    // dialect, version and fragment substitutes (can be nested within one another)
+    sql = dbs.this.segmentTagSubs(sql, binds, frags);
+    // expansion substitutes (only expands binds that remain after the tag substitutions)
+    if (binds) {
+      // multi-row VALUES expansions from arrays of row objects
+      sql = sql.replace(VALUES_REGEXP, function sqlExpandValuesRpl(match, row) {
+        return DBS.segmentSubValues(binds, row);
+      });
+      // AND/OR conjunction expansions
+      sql = sql.replace(/\[\[(OR|AND)([\S\s]*?)(:)(\w+)([\S\s]*?)\s*\]\]/gi, function sqlExpandConjRpl(match, conjunction, prefix, bindKey, bindName, suffix) {
+        return DBS.segmentSubExpanded(binds, bindKey, bindName, ` ${conjunction}`, prefix, suffix);
+      });
+      // simple expansions using comma separations
+      sql = sql.replace(/(:)([a-z]+[0-9]*?)/gi, function sqlArrayRpl(match, bindKey, bindName) {
+        return DBS.segmentSubExpanded(binds, bindKey, bindName);
+      });
+    }
+    // pagination substitutes
+    return dbs.this.paginate(sql, binds);
+  }
+
+  /**
+   * Makes only the _dialect_, _version_ and _fragment_ substitutions described in {@link DBS.segmentSubs} (the _binds_ are not modified)
+   * @param {String} sql The SQL to defragement
+   * @param {Object} [binds] An object that contains the SQL parameterized `binds` used by bind conditioned fragments
+   * @param {String[]} [frags] Fragment keys which will remain intact within the SQL
+   * @returns {String} The defragmented SQL
+   */
+  segmentTagSubs(sql, binds, frags) {
+    const dbs = internal(this);
+    return segmentTags(sql, function sqlTagIncluded(tag, grouped) {
+      if (tag.type === 'dialect') return tag.default ? !grouped : tag.not !== tag.keys.includes(dbs.at.dialectName);
+      if (tag.type === 'version') return versionSatisfies(dbs.at.version, tag.conds);
+      const present = tag.bind ? !!binds && binds[tag.key] !== undefined && binds[tag.key] !== null : !!frags && frags.indexOf(tag.key) >= 0;
+      return tag.not ? !present : present;
+    });
+  }
+
+  /**
+   * Replaces a `[[page :offset :limit]]` tag with the pagination syntax returned by {@link Dialect.paginate} or, when the dialect does not supply the syntax, the built-in
+   * pagination set via {@link SQLERConnectionOptions} `pagination`. The _offset_ bind value must be an integer `>= 0` and the _limit_ bind value must be an integer `>= 1`.
+   * @param {String} sql The SQL that may contain the pagination tag
+   * @param {Object} [binds] The SQL parameterized `binds` that contain the _offset_ and _limit_ values (values are converted into numbers, so the `binds` should be a copy of
+   * the execution binds, see {@link DBS.segmentSubs})
+   * @returns {String} The paginated SQL
+   */
+  paginate(sql, binds) {
+    const dbs = internal(this), match = sql.match(PAGE_REGEXP);
+    if (!match) return sql;
+    const head = sql.substring(0, match.index), tail = sql.substring(match.index + match[0].length);
+    if (PAGE_REGEXP.test(tail)) throw new Error(`SQL cannot contain more than one pagination tag (found multiple "${match[0]}")`);
+    for (let [name, min] of [[match[1], 0], [match[2], 1]]) {
+      const val = binds && binds.hasOwnProperty(name) ? Number(binds[name]) : NaN;
+      if (!Number.isInteger(val) || val < min) {
+        throw new Error(`SQL pagination bind ":${name}" must be an integer >= ${min} (found: ${binds && binds[name]})`);
+      }
+      binds[name] = val;
+    }
+    const dialect = dbs.at.dialect, offset = `:${match[1]}`, limit = `:${match[2]}`;
+    return (typeof dialect.paginate === 'function' && dialect.paginate(head, tail, offset, limit)) || PAGINATIONS[dbs.at.pagination](head, tail, offset, limit);
+  }
+
+  /**
+   * Expands a `[[VALUES (:rows.id, :rows.name)]]` tag into `VALUES (:rows_0_id, :rows_0_name), (:rows_1_id, :rows_1_name)` using the array of row objects in the bind parameter
+   * (e.g. `rows`) and replaces the array bind parameter with the flattened bind parameters (e.g. `{ rows_0_id: 1, rows_0_name: 'a', rows_1_id: 2, rows_1_name: 'b' }`). Properties
+   * that are missing from a row object are bound as `null`.
+   * @param {Object} binds The key/value bind parameters to use
+   * @param {String} row The SQL contents of a single row (e.g. `:rows.id, :rows.name`)
+   * @returns {String} The expanded SQL
+   */
+  static segmentSubValues(binds, row) {
+    const names = new Set([...row.matchAll(/:(\w+)\.\w+/g)].map(match => match[1]));
+    if (names.size !== 1) throw new Error(`SQL VALUES tag "(${row})" must reference properties of a single bind parameter (found: ${[...names].join(', ')})`);
+    const name = names.values().next().value, rows = binds[name];
+    if (!Array.isArray(rows) || !rows.length) {
+      throw new Error(`SQL VALUES tag "(${row})" requires bind parameter ":${name}" to be a non-empty array of row objects`);
+    }
+    const vals = rows.map((rcrd, idx) => `(${row.replace(new RegExp(`:${name}\\.(\\w+)`, 'g'), function sqlValuesBindRpl(match, prop) {
+      binds[`${name}_${idx}_${prop}`] = rcrd && rcrd[prop] !== undefined ? rcrd[prop] : null;
+      return `:${name}_${idx}_${prop}`;
+    })})`);
+    delete binds[name];
+    return `VALUES ${vals.join(', ')}`;
+  }
+
+  /**
+   * Expenads a bind parameter using surrounding separators and expands the binds to reflect multiple values.
+   * @param {Object} binds The key/value bind parameters to use
+   * @param {String} bindKey The key that will be used when expanding the binding parameter names (e.g. `:`)
+   * @param {String} bindName The bound parameter that will be expanded
+   * @param {String} [conjunction=', '] The conjunction that will be used to separate the expanded binds
+   * (e.g. conjunction = ', '; bindKey = ':'; bindName = 'myBind'; binds = { myBind: [1,2] };` would result in
+   * `:myBind, :myBind1` with `binds = { myBind: 1, myBind1: 2 }`)
+   * @param {String} prefix The prefix that will be used before each expanded bind parameter
+   * (e.g. `prefix = 'UPPER('; suffix = ')'; conjunction = ' OR'; bindKey = ':'; bindName = 'myBind'; binds = { myBind: [1,2] };` would result in
+   * `UPPER(:myBind) OR UPPER(:myBind1)` with `binds = { myBind: 1, myBind1: 2 }`)
+   * @param {String} suffix The suffix that will be used after each expended bind parameter
+   * (e.g. `prefix = 'UPPER('; suffix = ')'; conjunction = ' OR'; bindKey = ':'; bindName = 'myBind'; binds = { myBind: [1,2] };` would result in
+   * `UPPER(:myBind) OR UPPER(:myBind1)` with `binds = { myBind: 1, myBind1: 2 }`)
+   */
+  static segmentSubExpanded(binds, bindKey, bindName, conjunction = ', ', prefix = '', suffix = '') {
+    let newKeys = '';
     for (let i = 0, vals = bindName && Array.isArray(binds[bindName]) && binds[bindName], l = vals && vals.length; i < l; ++i) {
       newKeys += `${(newKeys && conjunction) || ''}${prefix}${bindKey}${bindName}${i || ''}${suffix}`; // set SQL expanded binds
       binds[bindName + (i || '')] = vals[i]; // set expanded binds
@@ -668,15 +1925,17 @@ class DBS {
    */
   async close() {
     const dbs = internal(this);
-    return dbs.at.dialect.close();
+    return dbs.this.operate('close', () => dbs.at.dialect.close());
   }
 
   /**
    * @returns {SQLERState} The managed state of the {@link Dialect}
    */
   get state() {
-    const dbs = internal(this);
-    return dbs.at.dialect.state;
+    const dbs = internal(this), circuit = dbs.at.circuit;
+    if (!circuit) return dbs.at.dialect.state;
+    if (circuit.state === 'open' && Date.now() - circuit.opened >= circuit.cooldown) circuit.state = 'half-open';
+    return Object.assign({}, dbs.at.dialect.state, { circuit: { state: circuit.state, failures: circuit.failures, opened: circuit.opened ? new Date(circuit.opened) : null } });
   }
 }
 
@@ -695,6 +1954,783 @@ function generateLogger(log, tags) {
   };
 }
 
+/**
+ * Clones execution options for output purposes (e.g. logging, events, errors, etc.)
+ * @private
+ * @param {SQLERExecOptions} opts The execution options to clone
+ * @param {Boolean} [includeBindValues] Truthy to include the bind values, otherwise, only the bind names will be included
+ * @returns {Object} The cloned options
+ */
+function redactOptions(opts, includeBindValues) {
+  const ropts = JSON.parse(JSON.stringify(Object.assign({}, opts, { signal: undefined })));
+  ropts.binds = includeBindValues ? ropts.binds : Object.keys(opts.binds);
+  return ropts;
+}
+
+/**
+ * Invokes a function within a span started on a {@link SQLERTracer}. Any errors thrown by the function are recorded on the span before being rethrown.
+ * @private
+ * @param {SQLERTracer} [tracer] The tracer used to start the span (when omitted, the function is invoked without a span)
+ * @param {String} name The span name
+ * @param {Object} attrs The attributes that will be set on the span
+ * @param {*} [context] The parent context passed into `tracer.startSpan` (omit to use the active context of the tracer)
+ * @param {Function} func The `async function(span)` to invoke
+ * @returns {*} The function result
+ */
+async function trace(tracer, name, attrs, context, func) {
+  if (!tracer) return func();
+  const span = tracer.startSpan(name, { kind: 2 /* SpanKind.CLIENT */, attributes: attrs }, context || undefined);
+  try {
+    for (let key in attrs) {
+      span.setAttribute(key, attrs[key]);
+    }
+    return await func(span);
+  } catch (err) {
+    if (typeof span.recordException === 'function') span.recordException(err);
+    if (typeof span.setStatus === 'function') span.setStatus({ code: 2 /* SpanStatusCode.ERROR */, message: err.message });
+    throw err;
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * Composes the row mapping options for an execution
+ * @private
+ * @param {SQLERRowMappingOptions} [conn] The row mapping options from the {@link SQLERConnectionOptions}
+ * @param {(SQLERRowMappingOptions | Boolean)} [call] The row mapping options from the {@link SQLERExecOptions} (`false` to disable row mapping)
+ * @returns {SQLERRowMappingOptions} The composed row mapping options or `null` when rows should not be mapped
+ */
+function rowMapper(conn, call) {
+  if (call === false || (!conn && !call)) return null;
+  const mapping = Object.assign({}, conn, call);
+  return mapping.case || mapping.nest || mapping.groupBy ? mapping : null;
+}
+
+/**
+ * Maps the column names of a row using {@link SQLERRowMappingOptions}
+ * @private
+ * @param {Object} row The row to map
+ * @param {SQLERRowMappingOptions} mapping The row mapping options
+ * @param {Map} [names] A cache of column names to mapped property paths (columns are typically the same for every row)
+ * @returns {Object} The mapped row
+ */
+function mapRow(row, mapping, names) {
+  const rtn = {};
+  for (let col in row) {
+    let path = names && names.get(col);
+    if (!path) {
+      path = col.split('.').map(seg => {
+        if (typeof mapping.case === 'function') return mapping.case(seg);
+        if (mapping.case !== 'camel' || (!seg.includes('_') && seg !== seg.toUpperCase())) return seg; // already camel case
+        return seg.toLowerCase().replace(/_+([a-z0-9])/g, (match, chr) => chr.toUpperCase());
+      });
+      if (!mapping.nest) path = [path.join('.')];
+      if (names) names.set(col, path);
+    }
+    let obj = rtn;
+    for (let i = 0, last = path.length - 1; i < last; ++i) {
+      obj = obj[path[i]] = obj[path[i]] || {};
+    }
+    obj[path[path.length - 1]] = row[col];
+  }
+  return rtn;
+}
+
+/**
+ * Maps rows using {@link SQLERRowMappingOptions} and groups one-to-many rows by the `groupBy` property (when present)
+ * @private
+ * @param {Object[]} rows The rows to map
+ * @param {SQLERRowMappingOptions} mapping The row mapping options
+ * @returns {Object[]} The mapped rows
+ */
+function mapRows(rows, mapping) {
+  const names = new Map(), mapped = rows.map(row => mapRow(row, mapping, names));
+  if (!mapping.groupBy) return mapped;
+  const groups = new Map(), colls = mapping.collections || [];
+  for (let row of mapped) {
+    let grp = groups.get(row[mapping.groupBy]);
+    if (!grp) {
+      grp = Object.assign({}, row);
+      for (let coll of colls) {
+        grp[coll] = [];
+      }
+      groups.set(row[mapping.groupBy], grp);
+    }
+    for (let coll of colls) { // exclude empty collection items (e.g. outer joins without any matches)
+      if (row[coll] && Object.values(row[coll]).some(val => val !== null && typeof val !== 'undefined')) grp[coll].push(row[coll]);
+    }
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Invokes a function and rejects when either the timeout elapses or the signal is aborted before the function completes
+ * @private
+ * @param {Function} func The `async function(signal)` to invoke where `signal` is aborted when either the timeout elapses or the passed `signal` is aborted (the passed `signal`
+ * is used as-is when `AbortController` is not supported by the Node.js version)
+ * @param {Integer} [timeout] The number of milliseconds to wait for the function to complete before rejecting with an error that has `code = 'SQLER_TIMEOUT'`
+ * @param {AbortSignal} [signal] The signal that will reject with an error that has `code = 'ABORT_ERR'` when aborted
+ * @param {String} label The label that identifies the operation (used in error messages)
+ * @returns {*} The function result
+ */
+function limit(func, timeout, signal, label) {
+  if (!timeout && !signal) return func();
+  const ctrl = typeof AbortController === 'function' ? new AbortController() : null;
+  return new Promise((resolve, reject) => {
+    let timer;
+    const settle = (done, value) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+      done(value);
+    };
+    const fail = (code, message) => {
+      const err = new Error(message);
+      err.code = code;
+      if (code === ABORT_CODE) err.name = 'AbortError';
+      settle(reject, err);
+      if (ctrl) ctrl.abort(); // allow the function to cancel any pending operations
+    };
+    const abort = () => fail(ABORT_CODE, `Execution of ${label} was aborted`);
+    if (signal && signal.aborted) return abort();
+    if (timeout) timer = setTimeout(() => fail(TIMEOUT_CODE, `Execution of ${label} timed out after ${timeout} ms`), timeout);
+    if (signal) signal.addEventListener('abort', abort);
+    func(ctrl ? ctrl.signal : signal).then(rslt => settle(resolve, rslt), err => settle(reject, err));
+  });
+}
+
+/**
+ * Composes the retry options for an operation
+ * @private
+ * @param {(SQLERRetryOptions | Boolean)} [conn] The retry options from the {@link SQLERConnectionOptions} (`true` to enable retries using the defaults)
+ * @param {(SQLERRetryOptions | Boolean)} [call] The retry options from the {@link SQLERExecOptions} (`false` to disable retries, `true` to enable retries using the defaults)
+ * @param {String} [transactionId] The transaction ID of the execution (retries are never performed within a transaction)
+ * @returns {SQLERRetryOptions} The composed retry options
+ */
+function retryPolicy(conn, call, transactionId) {
+  if (transactionId || call === false) return Object.assign({}, RETRY_DEFAULTS);
+  const enabled = conn === true || call === true;
+  return Object.assign({}, RETRY_DEFAULTS, enabled && RETRY_ENABLED, conn !== true && conn, call !== true && call);
+}
+
+/**
+ * Calculates the number of milliseconds to wait before the next retry attempt using an exponential backoff
+ * @private
+ * @param {SQLERRetryOptions} retry The retry options
+ * @param {Integer} attempt The attempt number that failed
+ * @returns {Integer} The number of milliseconds to wait
+ */
+function backoff(retry, attempt) {
+  const delay = Math.min(retry.maxDelay, retry.delay * Math.pow(retry.factor, attempt - 1));
+  return Math.round(retry.jitter ? (delay / 2) + (Math.random() * delay / 2) : delay);
+}
+
+/**
+ * Calculates the elapsed time from a given start time
+ * @private
+ * @param {Integer[]} started The start time captured via `process.hrtime()`
+ * @returns {Number} The number of elapsed milliseconds
+ */
+function elapsed(started) {
+  const diff = process.hrtime(started);
+  return (diff[0] * 1e3) + (diff[1] / 1e6);
+}
+
+/**
+ * Gets the object container that resides at a given namespace path
+ * @private
+ * @param {Object} db The connection namespace object where the path begins
+ * @param {String[]} ns The property names that make up the path to the container
+ * @param {Boolean} [create] Truthy to create any missing containers along the path
+ * @returns {Object} The container or `undefined` when the container does not exist and `create` is _falsy_
+ */
+function namespaceContainer(db, ns, create) {
+  let so = db;
+  for (let ni = 0, nl = ns.length; so && ni < nl; ++ni) {
+    if (!so[ns[ni]] && create) so[ns[ni]] = {};
+    so = so[ns[ni]];
+  }
+  return so;
+}
+
+/**
+ * Removes any empty object containers along a namespace path (starting with the deepest container)
+ * @private
+ * @param {Object} db The connection namespace object where the path begins (never removed)
+ * @param {String[]} ns The property names that make up the path to the deepest container
+ */
+function pruneNamespace(db, ns) {
+  for (let nl = ns.length, so; nl > 0; --nl) {
+    so = namespaceContainer(db, ns.slice(0, nl - 1));
+    if (!so || typeof so[ns[nl - 1]] !== 'object' || Object.keys(so[ns[nl - 1]]).length) break;
+    delete so[ns[nl - 1]];
+  }
+}
+
+/**
+ * Parses the leading `-- @tag value` comment lines of an SQL file into a {@link SQLERStatementMeta}
+ * @private
+ * @param {String} data The raw SQL file contents
+ * @param {String} fpth The SQL file path (used for error messages)
+ * @returns {Object} An object containing the parsed `meta` and the `sql` with any header lines removed
+ */
+function parseHeader(data, fpth) {
+  const meta = {}, lines = data.split(/(?<=\n)/);
+  let pos = 0, found, mtch, val, bind;
+  for (let ln = 0; ln < lines.length; ++ln) {
+    if (!lines[ln].trim()) {
+      pos += lines[ln].length;
+      continue;
+    }
+    mtch = lines[ln].match(HEADER_REGEXP);
+    if (!mtch || mtch[1].toLowerCase() === 'include') break; // includes are resolved in place (see includeSql)
+    found = true;
+    pos += lines[ln].length;
+    val = mtch[2] || '';
+    switch (mtch[1].toLowerCase()) {
+      case 'type':
+        meta.type = val.toUpperCase();
+        if (!CRUD_TYPES.includes(meta.type)) {
+          throw new Error(`SQL "${fpth}" header "-- @type ${val}" must be one of ${CRUD_TYPES.join(',')}`);
+        }
+        break;
+      case 'description':
+        meta.description = meta.description ? `${meta.description} ${val}` : val;
+        break;
+      case 'bind':
+        bind = val.match(/^(\w+)(?:\s*:\s*(\w+))?(?:\s+(required))?$/i);
+        if (!bind || (bind[2] && !BIND_TYPES.includes(bind[2].toLowerCase()))) {
+          throw new Error(`SQL "${fpth}" header "-- @bind ${val}" must be in the format "name[:type] [required]" where the optional type is one of ${
+            BIND_TYPES.join(',')}`);
+        }
+        meta.binds = meta.binds || {};
+        meta.binds[bind[1]] = Object.freeze({ type: bind[2] ? bind[2].toLowerCase() : undefined, required: !!bind[3] });
+        break;
+      case 'frags':
+        meta.frags = Object.freeze(val.split(/[\s,]+/).filter(frag => frag));
+        break;
+      case 'timeout':
+      case 'ttl':
+        if (!/^\d+$/.test(val)) throw new Error(`SQL "${fpth}" header "-- @${mtch[1]} ${val}" must be a non-negative integer (in milliseconds)`);
+        meta[mtch[1].toLowerCase()] = parseInt(val);
+        break;
+      case 'deprecated':
+        meta.deprecated = val || true;
+        break;
+      case 'script':
+        if (/\s/.test(val)) throw new Error(`SQL "${fpth}" header "-- @script ${val}" must contain a single statement delimiter (e.g. ";" or "GO")`);
+        meta.script = val || ';';
+        break;
+      default:
+        throw new Error(`SQL "${fpth}" contains an unrecognized header "-- @${mtch[1]}" (valid headers: type, description, bind, frags, timeout, ttl, deprecated, script)`);
+    }
+  }
+  if (meta.binds) Object.freeze(meta.binds);
+  return { meta: Object.freeze(meta), sql: found ? data.substring(pos) : data };
+}
+
+/**
+ * Replaces each `-- @include path` directive line in a SQL statement with the contents of the included SQL file (any header in the included SQL file is removed). Paths that
+ * begin with a `.` are relative to the directory of the SQL file that contains the directive. All other paths are relative to the connection SQL directory. Included SQL files
+ * can also contain `-- @include` directives.
+ * @private
+ * @param {String} sql The SQL statement (excluding any header)
+ * @param {String} fpth The path to the SQL file that contains the SQL statement
+ * @param {String} basePath The connection SQL directory
+ * @param {Map<String, Number>} includes Where the path and modified time (in milliseconds) of each included SQL file will be captured
+ * @param {String[]} [chain] The SQL file paths that are currently being included (used to detect circular includes)
+ * @returns {String} The SQL statement with the included SQL file contents
+ */
+async function includeSql(sql, fpth, basePath, includes, chain = [fpth]) {
+  const parts = [];
+  let pos = 0, ipth, data;
+  for (let mtch of sql.matchAll(INCLUDE_REGEXP)) {
+    ipth = Path.join(mtch[1].startsWith('.') ? Path.dirname(fpth) : basePath, mtch[1]);
+    if (chain.includes(ipth)) {
+      throw new Error(`SQL "${fpth}" contains a circular "-- @include ${mtch[1]}" (${[...chain, ipth].join(' -> ')})`);
+    }
+    try {
+      data = await Fs.promises.readFile(ipth, { encoding: 'utf8' });
+      includes.set(ipth, (await Fs.promises.stat(ipth)).mtimeMs);
+    } catch (err) {
+      err.message = `SQL "${fpth}" contains an "-- @include ${mtch[1]}" that cannot be read: ${err.message}`;
+      throw err;
+    }
+    data = await includeSql(parseHeader(data, ipth).sql, ipth, basePath, includes, [...chain, ipth]);
+    parts.push(sql.substring(pos, mtch.index), data.replace(/\r?\n$/, ''));
+    pos = mtch.index + mtch[0].length;
+  }
+  if (!parts.length) return sql;
+  parts.push(sql.substring(pos));
+  return parts.join('');
+}
+
+/**
+ * Determines if any of the SQL files captured by {@link includeSql} have been modified (or removed) since they were included
+ * @private
+ * @param {Map<String, Number>} [includes] The path and modified time (in milliseconds) of each included SQL file
+ * @returns {Boolean} `true` when any of the included SQL files have been modified
+ */
+async function includesModified(includes) {
+  if (!includes) return false;
+  for (let [ipth, mtime] of includes) {
+    try {
+      if ((await Fs.promises.stat(ipth)).mtimeMs !== mtime) return true;
+    } catch (err) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Generates the directories that contain the SQL files captured by {@link includeSql} so that they can be watched (see {@link SQLS.watch})
+ * @private
+ * @param {Map<String, Map<String, Number>>} includes The included SQL files keyed by the path of the SQL file that includes them
+ * @returns {Object[]} The unique directories that contain each of the included SQL files (each containing a `path`)
+ */
+function includeDirectories(includes) {
+  const dirs = new Set();
+  for (let included of includes.values()) {
+    for (let ipth of included.keys()) {
+      dirs.add(Path.dirname(ipth));
+    }
+  }
+  return [...dirs].map(path => ({ path }));
+}
+
+/**
+ * Validates the bind parameters against the bind parameters declared in the {@link SQLERStatementMeta} `binds`
+ * @private
+ * @param {String} fpth The SQL file path (used for error messages)
+ * @param {Object} [binds] The bind parameters (before any array expansions take place)
+ * @param {Object} declared The declared {@link SQLERStatementMeta} `binds`
+ */
+function validateDeclaredBinds(fpth, binds, declared) {
+  const missing = [], invalid = [];
+  binds = binds || {};
+  for (let name in declared) {
+    if (!binds.hasOwnProperty(name) || binds[name] === undefined) {
+      if (declared[name].required) missing.push(name);
+    } else if (declared[name].type && binds[name] !== null && !BIND_VALIDATORS[declared[name].type](binds[name])) {
+      invalid.push({ name, type: declared[name].type, value: binds[name] });
+    }
+  }
+  if (missing.length || invalid.length) throw bindsError(fpth, missing, invalid);
+}
+
+/**
+ * Generates an error for bind parameters that fail validation
+ * @private
+ * @param {String} fpth The SQL file path
+ * @param {String[]} missing The bind parameter names that are missing
+ * @param {Object[]} [invalid] The bind parameters that do not match the declared type (each containing the bind `name`, declared `type` and actual `value`)
+ * @returns {Error} The error that contains a `code` of `SQLER_BINDS` along with the `missing` and `invalid` names on `error.sqler.binds`
+ */
+function bindsError(fpth, missing, invalid = []) {
+  const msgs = [];
+  if (missing.length) msgs.push(`missing: ${missing.map(name => `:${name}`).join(', ')}`);
+  if (invalid.length) msgs.push(`invalid: ${invalid.map(bind => `:${bind.name} must be ${bind.type} (found: ${typeof bind.value})`).join(', ')}`);
+  const err = new Error(`SQL ${fpth} bind parameter validation failed (${msgs.join('; ')})`);
+  err.code = BINDS_CODE;
+  err[MOD_KEY] = { binds: { missing, invalid: invalid.map(bind => bind.name) } };
+  return err;
+}
+
+/**
+ * Resolves the base path where the SQL directories reside for each connection
+ * @private
+ * @param {SQLERConfigurationOptions} conf The configuration options
+ * @returns {String} The main path
+ */
+function mainPath(conf) {
+  return conf.mainPath || (require.main && require.main.filename.replace(/([^\\\/]*)$/, '')) || process.cwd();
+}
+
+/**
+ * Groups the connections in a configuration by the SQL directory that each connection uses
+ * @private
+ * @param {SQLERConfigurationOptions} conf The configuration options
+ * @returns {Map<String, SQLERConnectionOptions[]>} The connections keyed by SQL directory
+ */
+function sqlDirectories(conf) {
+  if (!conf || !conf.db || !conf.db.dialects) throw new Error('Database configuration.db.dialects are required');
+  if (!Array.isArray(conf.db.connections)) throw new Error('Database configuration.db.connections must be an array');
+  const base = mainPath(conf), dirs = new Map();
+  for (let conn of conf.db.connections) {
+    const dir = Path.join(base, conn.dir || conn.name);
+    if (!dirs.has(dir)) dirs.set(dir, []);
+    dirs.get(dir).push(conn);
+  }
+  return dirs;
+}
+
+/**
+ * Sanitizes a SQL directory or file name so that it can be used as a {@link SQLERPreparedFunction} path name
+ * @private
+ * @param {String} name The directory or file name
+ * @param {Boolean} [isFile] Truthy to retain periods (file names are split into multiple path names)
+ * @returns {String} The sanitized name
+ */
+function sanitizeName(name, isFile) {
+  return name.replace(isFile ? /[^0-9a-zA-Z\.]/g : /[^0-9a-zA-Z]/g, '_');
+}
+
+/**
+ * Walks a SQL directory (and any sub-directories) the same way as {@link SQLS.scan}
+ * @private
+ * @param {String} dir The SQL directory
+ * @param {Function} visit An `async function(entry)` that is invoked for each directory and SQL file that is found. Each entry contains the `path`, the sanitized `ns` path names
+ * and an `isDir` flag. SQL file entries also contain the sanitized file `names` (excluding the extension).
+ * @param {String[]} [pns=[]] The parent path names
+ */
+async function walkSqlDirectory(dir, visit, pns = []) {
+  const files = await Fs.promises.readdir(dir);
+  for (let fname of files) {
+    const pth = Path.resolve(dir, fname), stat = await Fs.promises.stat(pth);
+    if (stat.isDirectory()) {
+      const ns = [...pns, sanitizeName(fname)];
+      await visit({ path: pth, ns, isDir: true });
+      await walkSqlDirectory(pth, visit, ns);
+    } else if (fname.endsWith('.sql')) {
+      const names = sanitizeName(fname, true).split('.');
+      names.pop(); // extension
+      await visit({ path: pth, ns: [...pns, ...names], names });
+    }
+  }
+}
+
+/**
+ * Walks a SQL directory the same way as {@link SQLS.scan} and validates each of the SQL files that are found
+ * @private
+ * @param {String} dir The SQL directory
+ * @param {SQLERConnectionOptions[]} conns The connections that use the SQL directory
+ * @param {String[]} dialects The lower case dialect names that are defined in the configuration
+ * @param {SQLERLintIssue[]} issues The issues where any problems will be added
+ */
+async function lintDirectory(dir, conns, dialects, issues) {
+  const connections = conns.map(conn => conn.name), versions = conns.map(conn => conn.version || 0), paths = new Map();
+  const issue = (severity, code, file, message, line) => issues.push({ severity, code, connections, file, line, message });
+  const track = (ns, entry) => paths.has(ns.join('.')) ? paths.get(ns.join('.')).push(entry) : paths.set(ns.join('.'), [entry]);
+  try {
+    await walkSqlDirectory(dir, async entry => {
+      track(entry.ns, entry);
+      if (entry.isDir) return;
+      if (entry.names.includes('beginTransaction')) issue('error', 'name-reserved', entry.path, 'SQL file name cannot contain reserved "beginTransaction"');
+      const data = await Fs.promises.readFile(entry.path, { encoding: 'utf8' });
+      await lintFile(entry.path, data, entry.names[0], dialects, versions, issue);
+      try {
+        await includeSql(data, entry.path, dir, new Map());
+      } catch (err) {
+        issue('error', 'include-invalid', entry.path, err.message);
+      }
+    });
+  } catch (err) {
+    issue('error', 'directory-missing', dir, `Unable to read SQL directory: ${err.message}`);
+  }
+  for (let [pth, entries] of paths) {
+    const files = entries.filter(entry => !entry.isDir);
+    if (!files.length) continue;
+    if (entries.length > 1) {
+      for (let file of files) {
+        issue('error', 'name-collision', file.path, `SQL file path "${pth}" collides with: ${entries.filter(entry => entry !== file).map(entry => entry.path).join(', ')}`);
+      }
+    }
+    for (let [opth, others] of paths) { // prepared function paths cannot also be used as a container for other paths
+      if (!opth.startsWith(`${pth}.`)) continue;
+      for (let file of files) {
+        issue('error', 'name-collision', file.path, `SQL file path "${pth}" collides with the path "${opth}" of: ${others.map(entry => entry.path).join(', ')}`);
+      }
+    }
+  }
+}
+
+/**
+ * Validates the contents of a SQL file
+ * @private
+ * @param {String} fpth The SQL file path
+ * @param {String} data The SQL file contents
+ * @param {String} prefix The first path name of the SQL file name (i.e. the CRUD prefix, when present)
+ * @param {String[]} dialects The lower case dialect names that are defined in the configuration
+ * @param {Number[]} versions The versions of each connection that uses the SQL file
+ * @param {Function} issue The `function(severity, code, file, message, line)` that will add any issues
+ */
+function lintFile(fpth, data, prefix, dialects, versions, issue) {
+  let meta = {};
+  try {
+    meta = parseHeader(data, fpth).meta;
+  } catch (err) {
+    issue('error', 'header-invalid', fpth, err.message);
+  }
+  if (!meta.type && !CRUD_TYPES.includes(prefix.toUpperCase())) {
+    issue('warning', 'crud-missing', fpth, `SQL file name is not prefixed with one of ${CRUD_TYPES.join(',')} and does not contain a "-- @type" header`);
+  }
+  const opened = [], lineAt = idx => data.substring(0, idx).split('\n').length;
+  let pages = 0;
+  for (let tag of sqlTags(data)) {
+    const line = lineAt(tag.index);
+    if (!tag.type) {
+      if (tag.error) issue('error', 'tag-malformed', fpth, tag.error, line); // unrecognized tags without an error do not begin like a substitution tag
+    } else if (tag.else) {
+      const open = opened[opened.length - 1];
+      if (!open || open.type !== tag.type) {
+        issue('error', 'tag-unopened', fpth, `Substitution tag "${tag.text}" must be within an opening fragment tag`, line);
+      } else if (open.elsed) {
+        issue('error', 'tag-malformed', fpth, `Fragment substitution "${open.text}" (line ${open.line}) cannot contain more than one "${tag.text}"`, line);
+      }
+      if (open) open.elsed = true;
+    } else if (tag.open) {
+      opened.push(Object.assign({ line }, tag));
+      if (tag.type === 'dialect' && !tag.default && tag.keys.some(key => !dialects.includes(key))) {
+        issue('error', 'dialect-unknown', fpth, `Dialect substitution "${tag.text}" uses a dialect that is not defined in the configuration (defined: ${dialects.join(', ')})`, line);
+      } else if (tag.type === 'version' && !versions.some(version => versionSatisfies(version, tag.conds))) {
+        issue('warning', 'version-unreachable', fpth, `Version substitution "${tag.text}" is not satisfied by any of the connection versions (${versions.join(', ')})`, line);
+      }
+    } else if (tag.close) {
+      const open = opened.pop();
+      if (!open) {
+        issue('error', 'tag-unopened', fpth, `Closing substitution tag "${tag.text}" does not have a matching opening tag`, line);
+      } else if (open.type !== tag.type) {
+        issue('error', 'tag-mismatched', fpth, `Closing substitution tag "${tag.text}" does not match the opening tag "${open.text}" (line ${open.line})`, line);
+      }
+    } else if (tag.type === 'page' && ++pages > 1) {
+      issue('error', 'page-multiple', fpth, `SQL cannot contain more than one pagination tag (found "${tag.text}")`, line);
+    }
+  }
+  for (let open of opened) {
+    issue('error', 'tag-unclosed', fpth, `Substitution tag "${open.text}" does not have a matching closing tag`, open.line);
+  }
+}
+
+/**
+ * Splits a SQL script into statements using a statement delimiter. Delimiters that are within quotes (single, double, back ticks or dollar quotes like `$$` and `$tag$`) or
+ * comments (`--` or `/* *\/`) are ignored. A backslash escapes the next character within single/double quotes (e.g. `'a\';'`). Word delimiters (e.g. `GO`) must reside on a line by themselves (case-insensitive) while any other delimiter (e.g. `;`) can reside anywhere in the script.
+ * @private
+ * @param {String} sql The SQL script
+ * @param {String} delimiter The statement delimiter
+ * @returns {String[]} The trimmed statements (statements that only contain whitespace and/or comments are omitted)
+ */
+function scriptStatements(sql, delimiter) {
+  const stms = [], line = /^\w+$/.test(delimiter) && new RegExp(`^[ \\t]*${delimiter}[ \\t]*\\r?$`, 'i');
+  let start = 0, quote, comment, content;
+  const push = end => {
+    if (content) stms.push(sql.substring(start, end).trim());
+    content = false;
+  };
+  for (let i = 0, eol, dollar; i < sql.length; ++i) {
+    if (comment) {
+      if (comment === '\n' && sql[i] === '\n') comment = null;
+      else if (comment === '*/' && sql.startsWith(comment, i)) {
+        comment = null;
+        ++i;
+      }
+      continue;
+    }
+    if (quote) {
+      if (quote.length > 1) { // dollar quote
+        if (sql.startsWith(quote, i)) {
+          i += quote.length - 1;
+          quote = null;
+        }
+      } else if (sql[i] === '\\' && quote !== '`') ++i; // escaped character
+      else if (sql[i] === quote) quote = null;
+      continue;
+    }
+    if (line && (i === 0 || sql[i - 1] === '\n')) {
+      eol = sql.indexOf('\n', i);
+      if (eol < 0) eol = sql.length;
+      if (line.test(sql.substring(i, eol))) {
+        push(i);
+        start = i = eol;
+        continue;
+      }
+    }
+    if (sql[i] === '\'' || sql[i] === '"' || sql[i] === '`') {
+      quote = sql[i];
+    } else if (sql[i] === '$' && !/\w/.test(sql[i - 1] || '') && (dollar = sql.substring(i).match(DOLLAR_QUOTE_REGEXP))) {
+      quote = dollar[0];
+      i += quote.length - 1;
+      content = true;
+      continue;
+    } else if (sql.startsWith('--', i)) {
+      comment = '\n';
+    } else if (sql.startsWith('/*', i)) {
+      comment = '*/';
+      ++i;
+    } else if (!line && sql.startsWith(delimiter, i)) {
+      push(i);
+      start = (i += delimiter.length - 1) + 1;
+      continue;
+    }
+    if (!comment && !/\s/.test(sql[i])) content = true;
+  }
+  push(sql.length);
+  return stms;
+}
+
+/**
+ * Determines if the rows of a `[[VALUES (...)]]` tag need to be split into multiple executions in order to stay within the maximum number of bind parameters. Only the bind
+ * parameters that are referenced outside of the tag count towards the maximum (array bind parameters count once for each element since they will be expanded).
+ * @private
+ * @param {String} sql The SQL source
+ * @param {Object} [binds] The bind parameters
+ * @param {Number} maxBinds The maximum number of bind parameters allowed in a single execution
+ * @returns {Object} Either `null` when the SQL does not need to be chunked or an object that contains the bind `name` that contains the rows and the `rows` for each chunk
+ */
+function valuesChunks(sql, binds, maxBinds) {
+  if (!binds || maxBinds === Infinity) return null;
+  for (let match of sql.matchAll(VALUES_REGEXP)) {
+    const props = [...match[1].matchAll(/:(\w+)\.\w+/g)], name = props.length && props[0][1], rows = name && binds[name];
+    if (!Array.isArray(rows)) continue;
+    const names = new Set([...sql.replace(match[0], '').matchAll(POS_BINDS_REGEXP)].map(bind => bind[1])), others = [...names].reduce((cnt, bname) => {
+      return cnt + (Array.isArray(binds[bname]) ? binds[bname].length || 1 : 1);
+    }, 0), size = Math.floor((maxBinds - others) / props.length);
+    if (size < 1) throw new Error(`SQL VALUES tag "(${match[1]})" cannot fit a single row within the maximum number of bind parameters (${maxBinds})`);
+    if (rows.length <= size) return null;
+    const chunks = { name, rows: [] };
+    for (let i = 0; i < rows.length; i += size) {
+      chunks.rows.push(rows.slice(i, i + size));
+    }
+    return chunks;
+  }
+  return null;
+}
+
+/**
+ * Determines if a version satisfies each of the comparisons from a version substitution tag. Versions are compared component-wise (e.g. `12.1.0.2 > 12.1`, missing components are
+ * treated as `0`) unless the version is a `Number` and the compared version contains no more than one `.`, in which case the versions are compared as floating point numbers.
+ * @private
+ * @param {(Number | String)} version The {@link SQLERConnectionOptions} `version`
+ * @param {Array[]} conds The `[operator, version]` comparisons that must all be satisfied (e.g. `[['>=', '12.1'], ['<', '19']]`)
+ * @returns {Boolean} `true` when the version satisfies all of the comparisons
+ */
+function versionSatisfies(version, conds) {
+  return conds.every(([op, ver]) => {
+    if (typeof version === 'number' && ver.split('.').length <= 2) return COMPARE[op](version, parseFloat(ver));
+    const vparts = versionParts(version), cparts = versionParts(ver);
+    let cmp = 0;
+    for (let i = 0, l = Math.max(vparts.length, cparts.length); !cmp && i < l; ++i) {
+      cmp = Math.sign((vparts[i] || 0) - (cparts[i] || 0));
+    }
+    return COMPARE[op](cmp, 0);
+  });
+}
+
+/**
+ * Parses the leading dotted numeric components of a version (e.g. `8.0.31-log` would become `[8, 0, 31]`)
+ * @private
+ * @param {(Number | String)} version The version to parse
+ * @returns {Number[]} The version components or `null` when the version does not begin with a number
+ */
+function versionParts(version) {
+  const match = String(version).trim().match(/^[+-]?\d+(?:\.\d+)*/);
+  return match ? match[0].split('.').map(Number) : null;
+}
+
+/**
+ * Replaces or removes the SQL segments enclosed within opening/closing _dialect_, _version_ and _fragment_ substitution tags (see {@link DBS.segmentSubs}). Tags are matched using a
+ * stack so that segments can be nested within one another. Fragment segments that contain an `[[? else]]` tag are replaced with either the SQL before or after the `else` tag. Line breaks that immediately precede an opening tag are retained when the segment is included, line breaks that
+ * immediately follow an opening or closing tag are removed and an optional `--` that precedes a tag is removed (so tags can be commented out in SQL editors).
+ * @private
+ * @param {String} sql The SQL source
+ * @param {Function} included A `function(tag, grouped)` that returns `true` when the segment for an opening tag (see {@link sqlTags}) should be included (or when the segment before
+ * an `else` tag should be included rather than the segment after it). The `grouped` flag indicates that one of the preceding segments of the same type within the same group (i.e.
+ * segments that are only separated by whitespace) has already been included.
+ * @returns {String} The SQL with the segments replaced/removed
+ */
+function segmentTags(sql, included) {
+  const stack = [{ sql: '' }], lbs = str => str.match(/(?:\r?\n)*$/)[0];
+  let pos = 0;
+  for (let tag of sqlTags(sql)) {
+    if (!tag.open && !tag.close && !tag.else) continue; // expansions, pagination and unrecognized tags remain intact
+    const seg = stack[stack.length - 1], text = sql.substring(pos, tag.index).replace(/-{1,2}$/, '');
+    pos = tag.index + tag.text.length;
+    const lb = sql.substring(pos).match(/^(?:\r?\n)*/)[0];
+    pos += lb.length;
+    if (tag.open) {
+      const lb1 = lbs(text), grouped = seg.group && seg.group.type === tag.type && !text.trim() && seg.group.included;
+      seg.sql += text.substring(0, text.length - lb1.length);
+      seg.group = null;
+      stack.push({ tag, lb1, grouped, sql: '' });
+      continue;
+    }
+    if (tag.else) {
+      if (!seg.tag || seg.tag.type !== tag.type || seg.hasOwnProperty('then')) {
+        throw new Error(`Substitution tag "${tag.text}" must be within an opening fragment tag that does not already contain "${tag.text}"`);
+      }
+      seg.then = seg.sql + text;
+      seg.sql = '';
+      seg.group = null;
+      continue;
+    }
+    if (!seg.tag) {
+      throw new Error(`Closing substitution tag "${tag.text}" does not have a matching opening tag`);
+    } else if (seg.tag.type !== tag.type) {
+      throw new Error(`Closing substitution tag "${tag.text}" does not match the opening tag "${seg.tag.text}"`);
+    }
+    seg.sql += text;
+    stack.pop();
+    const incl = included(seg.tag, !!seg.grouped), body = seg.hasOwnProperty('then') ? (incl ? seg.then : seg.sql) : (incl && seg.sql);
+    stack[stack.length - 1].sql += (body && (seg.lb1 + body)) || ((seg.lb1 || lb) && ' ') || '';
+    stack[stack.length - 1].group = { type: tag.type, included: !!seg.grouped || incl };
+  }
+  if (stack.length > 1) throw new Error(`Substitution tag "${stack[stack.length - 1].tag.text}" does not have a matching closing tag`);
+  return stack[0].sql + sql.substring(pos);
+}
+
+/**
+ * Captures each of the `[[...]]` substitution tags within a SQL source in the order they appear
+ * @private
+ * @param {String} sql The SQL source
+ * @returns {Object[]} The tags. Each tag contains the `text`, `index` and, when the tag is recognized, the `type` (i.e. `dialect`, `version`, `fragment`, `expansion`, `values` or `page`)
+ * along with an `open`, `close` or `else` flag and the `key` captured from the opening tag. Opening version tags also contain the `conds` as `[operator, version]` pairs. Opening
+ * fragment tags also contain a `not` flag for negated conditions (e.g. `[[? !key]]`) and a `bind` flag for bind conditions (e.g. `[[? :name]]`). Opening dialect tags also contain
+ * a `not` flag for negated lists (e.g. `[[! !oracle, mssql]]`), the lower case dialect `keys` and a `default` flag for default blocks (i.e. `[[! default]]`). Unrecognized tags that
+ * begin like one of the recognized tags (e.g. `[[version == 1]]`) also contain an `error` message.
+ */
+function sqlTags(sql) {
+  const tags = [];
+  for (let idx = sql.indexOf('[['), end, next; idx >= 0; idx = sql.indexOf('[[', end)) {
+    end = sql.indexOf(']]', idx + 2);
+    next = sql.indexOf('[[', idx + 2);
+    if (end < 0 || (next >= 0 && next < end)) {
+      const content = sql.substring(idx + 2);
+      end = idx + 2;
+      if (Object.values(TAG_REGEXPS).some(rxs => rxs.prefix.test(content))) {
+        tags.push({ text: sql.substring(idx).split('\n')[0].trim(), index: idx, error: 'Substitution tag is not terminated with "]]"' });
+      }
+      continue;
+    }
+    const content = sql.substring(idx + 2, end), tag = { text: sql.substring(idx, end += 2), index: idx };
+    tags.push(tag);
+    for (let type in TAG_REGEXPS) {
+      const rxs = TAG_REGEXPS[type];
+      let match;
+      if (rxs.single && rxs.single.test(content)) {
+        tag.type = type;
+      } else if (rxs.close && rxs.close.test(content)) {
+        tag.type = type;
+        tag.close = true;
+      } else if (rxs.else && rxs.else.test(content)) {
+        tag.type = type;
+        tag.else = true;
+      } else if (rxs.open && (match = content.match(rxs.open))) {
+        tag.type = type;
+        tag.open = true;
+        tag.key = match[match.length - 1];
+        if (type === 'version') tag.conds = [...match[1].matchAll(VERSION_COND_REGEXP)].map(cond => [cond[1], cond[2]]);
+        else if (type === 'fragment') Object.assign(tag, { not: !!match[1], bind: !!match[2] });
+        else if (type === 'dialect') Object.assign(tag, { not: !!match[1], keys: tag.key.split(',').map(key => key.trim().toLowerCase()) });
+        if (type === 'dialect') tag.default = !tag.not && tag.keys.length === 1 && tag.keys[0] === 'default';
+      } else if (rxs.prefix.test(content)) {
+        tag.error = `Malformed ${type} substitution tag "${tag.text}"`;
+      }
+      if (tag.type || tag.error) break;
+    }
+  }
+  return tags;
+}
+
 /**
  * Generates formats a GUID formatted identifier
  * @private
@@ -775,7 +2811,7 @@ function positionalBinds(sql, bindsObject, bindsArray, placeholder = '?') {
 }
 
 /** @type {SQLERExports} */
-module.exports = Object.freeze({ Manager, Dialect });
+module.exports = Object.freeze({ Manager, Dialect, lint, types });
 
 // private mapping
 let map = new WeakMap();
@@ -794,6 +2830,9 @@ let internal = function (object) {
  * @typedef {Object} SQLERExports
  * @property {Manager} Manager The {@link Manager} class
  * @property {Dialect} Dialect The {@link Dialect} class
+ * @property {Function} lint The {@link lint} `async function(conf)` that accepts the {@link SQLERConfigurationOptions} and returns the {@link SQLERLintResults} (see
+ * {@link SQLERLintIssue})
+ * @property {Function} types The {@link types} `async function(conf)` that accepts the {@link SQLERConfigurationOptions} and returns the TypeScript declarations as a `String`
  */
 
 /**
@@ -917,7 +2956,39 @@ let internal = function (object) {
  * within the file name with the last entry as the executable {@link SQLERPreparedFunction}. For example, a connection named "conn1" and a SQL file named "user.team.details.sql" will be accessible within the manager
  * as "mgr.db.conn1.user.team.details()". But when `dir` is set to "myDir" the SQL files will be loaded from the "myDir" directory (relative to `mainPath`) instead of the default directory that matches the connection
  * name "conn1".
- * @property {Float} [version] A version that can be used for version substitutions within an SQL statement
+ * @property {(Float | String)} [version] A version that can be used for version substitutions within an SQL statement. Can be either a number or a dotted version string
+ * (e.g. `12.1.0.2` or `8.0.31`) that will be compared component-wise to the versions in the version substitutions.
+ * @property {(Boolean | Object)} [watch] Truthy to watch the connection `dir` (and any subdirectories) for SQL files that are added, renamed or removed so that the
+ * corresponding {@link SQLERPreparedFunction}(s) are added/removed from the manager without restarting the application (SQL files that are modified are re-read when a {@link SQLERCache} is
+ * not being used). The directories of any SQL files included via `-- @include` are also watched so that the SQL files that include them are re-read when they are modified.
+ * __Intended for use during development.__
+ * @property {Integer} [watch.delay=100] The number of milliseconds to wait for subsequent file system changes before the SQL files are rescanned
+ * @property {(SQLERRetryOptions | Boolean)} [retry] The retry options used when {@link Dialect.init} or an _autocommit_ {@link Dialect.exec} throws an error that the
+ * {@link Dialect.isTransientError} classifies as transient (e.g. deadlocks, connection resets, etc.). Set to `true` to retry using the default {@link SQLERRetryOptions} with
+ * `attempts: 3`. __Gets overridden by the same option set on {@link SQLERExecOptions}__.
+ * @property {Integer} [maxBinds] The maximum number of bind parameters that can be used in a single SQL statement execution. When the rows in a `[[VALUES (...)]]` tag would
+ * exceed the maximum (along with any other bind parameters used in the SQL statement, including expanded array bind parameters), the rows are executed in chunks within the
+ * same transaction (see {@link DBS.segmentSubs}). Defaults to a known limit for the `dialect` (e.g. `2100` for
+ * `mssql`) or no limit when the dialect is unknown.
+ * @property {String} [pagination] The built-in pagination syntax used for `[[page :offset :limit]]` tags when the {@link Dialect.paginate} does not supply the syntax. One of
+ * `limit` (i.e. `LIMIT :limit OFFSET :offset`), `fetch` (i.e. `OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`) or `rownum` (wraps the statement in a `ROWNUM` query). Defaults to `fetch`
+ * for `oracle`, `mssql` and `db2` dialects and `limit` for all other dialects.
+ * @property {SQLERRowMappingOptions} [rowMapping] The row mapping options applied to the {@link SQLERExecResults} `rows` returned by every {@link SQLERPreparedFunction} executed on the
+ * connection. __Gets overridden by the same option set on {@link SQLERExecOptions}__.
+ * @property {Integer} [timeout] The default number of milliseconds that each {@link SQLERPreparedFunction} execution is allowed to take before being rejected. __Gets overridden by the same
+ * option set on {@link SQLERExecOptions}__.
+ * @property {Boolean} [validateBinds=true] Set to `false` to disable bind parameter validation. When enabled, every `:name` bind parameter in the rendered SQL statement must be present
+ * in the execution `binds` and any bind parameters declared in the {@link SQLERStatementMeta} `binds` must be present (when `required`) and match the declared `type`. Validation takes
+ * place before the SQL statement is passed into the {@link Dialect} and failures are rejected with an error that has `code = 'SQLER_BINDS'` and `error.sqler.binds` containing the
+ * `missing` and `invalid` bind parameter names.
+ * @property {Boolean} [warnUnusedBinds] Truthy to log any {@link SQLERExecOptions} `binds` that are not present in the rendered SQL statement (requires `validateBinds`)
+ * @property {(Boolean | Object)} [circuitBreaker] Truthy to enable a circuit breaker for the connection. After `threshold` consecutive {@link Dialect.exec} failures (classified by
+ * `circuitBreaker.isFailure` or {@link Dialect.isCircuitFailure}), the circuit _opens_ and executions fail fast with an error that has `code = 'SQLER_CIRCUIT_OPEN'`. After the `cooldown` the circuit becomes _half-open_ and a single trial execution is allowed through that will either
+ * _close_ the circuit (when successful) or re-open it. The circuit breaker state is included in the {@link SQLERState} returned by {@link Manager.state}.
+ * @property {Integer} [circuitBreaker.threshold=5] The number of consecutive failures that will open the circuit
+ * @property {Integer} [circuitBreaker.cooldown=30000] The number of milliseconds that the circuit will remain open before allowing a trial execution
+ * @property {Function} [circuitBreaker.isFailure] A `function(error)` that returns _truthy_ when an error thrown by the {@link Dialect} should count as a circuit failure
+ * (overrides {@link Dialect.isCircuitFailure})
  * @property {String} [service] The service name defined by the underlying database (may be required depending on the implementing {@link Dialect}
  * @property {Object} [binds] The global object that contains bind variable values that will be included in all SQL calls made under the connection for parameter `binds` if not overridden
  * by individual "binds" passed into the {@link SQLERPreparedFunction}
@@ -967,6 +3038,56 @@ let internal = function (object) {
  * @property {(Function | Boolean)} [dateFormatter] A `function(date)` that will be used to format bound dates into string values for {@link SQLERPreparedFunction} calls. Set to a truthy value to
  * perform `date.toISOString()`. __Overrides the same option set on {@link SQLERConnectionOptions}__.
  * @property {Object} [driverOptions] Options that may override the {@link SQLERConnectionOptions} for `driverOptions` that may be passed into the {@link Manager} constructor
+ * @property {*} [traceContext] The parent context that will be used when starting the execution span on the {@link SQLERTracer} passed into the {@link Manager} constructor
+ * (e.g. an OpenTelemetry `Context`). Omit to use the active context of the tracer.
+ * @property {(SQLERRetryOptions | Boolean)} [retry] The retry options that will override any of the `retry` options set on the {@link SQLERConnectionOptions}. Set to `false` to disable
+ * retries for the execution or `true` to enable retries (using `attempts: 3` unless the {@link SQLERConnectionOptions} `retry` sets the `attempts`). __Executions that use a `transactionId` are never retried.__
+ * @property {Integer} [timeout] The number of milliseconds that the execution is allowed to take before the {@link SQLERPreparedFunction} rejects with an error that has
+ * `code = 'SQLER_TIMEOUT'` (overrides the `timeout` set on the {@link SQLERConnectionOptions}, `0` to disable). The timeout is also passed into the {@link Dialect.exec} so that
+ * drivers that support statement timeouts can terminate the statement.
+ * @property {AbortSignal} [signal] An `AbortSignal` that will reject the {@link SQLERPreparedFunction} with an error that has `name = 'AbortError'` and `code = 'ABORT_ERR'` when
+ * aborted. A signal is also passed into the {@link Dialect.exec} as `opts.signal` that is aborted when either this `signal` is aborted or the `timeout` elapses so that drivers
+ * that support cancellation can cancel the executing statement (when `AbortController` is not supported by the Node.js version, this `signal` is passed as-is).
+ * @property {(SQLERRowMappingOptions | Boolean)} [rowMapping] The row mapping options that will override any of the `rowMapping` options set on the {@link SQLERConnectionOptions}.
+ * Set to `false` to disable row mapping for the execution.
+ * @property {(Boolean | Object)} [dryRun] Truthy to render the final SQL statement and bind parameters without executing the SQL statement (i.e. the {@link Dialect} is never invoked).
+ * All of the substitutions, {@link SQLERConnectionOptions} `binds` merging, date formatting and array expansions are applied, but no {@link SQLERMiddleware}, events, metrics or bind
+ * validation take place. Instead of {@link SQLERExecResults}, the {@link SQLERPreparedFunction} will return {@link SQLERRenderResults}. An object can be used that contains a
+ * `positional` option that is either `true` or a placeholder that will be passed into the {@link SQLERPositionalBindsFunction} in order to also include the positional form of the SQL
+ * statement and bind parameters.
+ * @property {Boolean} [stream] Truthy to return the {@link SQLERExecResults} `rows` as an object mode `Readable` stream (consumed with backpressure via `for await` or `pipe`) rather
+ * than a fully materialized array. Rows are streamed by {@link Dialect.execStream} when implemented by the dialect. Destroying the stream or exiting a `for await` loop early will release
+ * any resources held by the execution. When used with a `transactionId`, the stream must be consumed before the transaction is committed or rolled back (any unconsumed streams are
+ * destroyed when the transaction is committed or rolled back). The `timeout` only applies until the stream is returned.
+ */
+
+/**
+ * Options that control how the {@link SQLERExecResults} `rows` returned from the {@link Dialect} are mapped. Mapping is applied after {@link Dialect.exec} returns (and after any
+ * {@link SQLERMiddleware}) regardless of the dialect being used.
+ * @example
+ * // SELECT C.ID, C.FIRST_NAME, O.ORDER_ID AS "ORDERS.ORDER_ID", O.TOTAL AS "ORDERS.TOTAL" FROM CUSTOMERS C LEFT JOIN ORDERS O ON O.CUSTOMER_ID = C.ID
+ * const rslt = await mgr.db.fin.read.customers({ rowMapping: { case: 'camel', nest: true, groupBy: 'id', collections: ['orders'] } });
+ * // rslt.rows = [{ id: 1, firstName: 'Jane', orders: [{ orderId: 10, total: 5 }, { orderId: 11, total: 7 }] }]
+ * @typedef {Object} SQLERRowMappingOptions
+ * @property {(String | Function)} [case] Set to `camel` to convert column names into camel case (e.g. `SOME_COL1` or `some_col1` would become `someCol1`) or a `function(name)` that
+ * returns the converted name. Columns that contain a `.` are converted for each segment of the name.
+ * @property {Boolean} [nest] Truthy to nest columns that contain a `.` into sub-objects (e.g. `customer.name` would become `{ customer: { name } }`)
+ * @property {String} [groupBy] The property name (after any `case` conversion) used to group rows from one-to-many joins into a single row. Only the first row's values are retained for each
+ * group other than the `collections`. __Not applied to streamed rows.__
+ * @property {String[]} [collections] The nested property names (after any `case` conversion) that will be collected into arrays for each `groupBy` group. Empty items (i.e. where all of
+ * the values are `null` or `undefined`) are excluded.
+ */
+
+/**
+ * Options that control how operations are retried when a transient error is encountered. The delay between each attempt increases exponentially:
+ * `min(maxDelay, delay * factor^(attempt - 1))`.
+ * @typedef {Object} SQLERRetryOptions
+ * @property {Integer} [attempts=1] The maximum number of attempts that will be made (including the initial attempt). A value of `1` disables retries. Defaults to `3` when
+ * retries are enabled using `retry: true`.
+ * @property {Integer} [delay=100] The number of milliseconds to wait before the first retry
+ * @property {Number} [factor=2] The factor that the delay is multiplied by for each subsequent retry
+ * @property {Integer} [maxDelay=10000] The maximum number of milliseconds to wait between retries
+ * @property {Boolean} [jitter=true] Truthy to randomize each delay between 50% and 100% of the calculated delay (helps avoid retry storms)
  */
  // TODO : @property {String} [locale] The [BCP 47 language tag](https://tools.ietf.org/html/bcp47) locale that will be used for formatting dates contained in the `opts` bind variable values (when present)
 
@@ -977,6 +3098,59 @@ let internal = function (object) {
  * @property {String} path The path to the SQL file
  */
 
+/**
+ * Metadata declared by an optional header of `-- @tag value` comment lines at the beginning of an SQL file. The header is parsed when the {@link SQLERPreparedFunction} is
+ * generated, stripped from the SQL that is executed and accessible via the `meta` property of the {@link SQLERPreparedFunction}.
+ * @typedef {Object} SQLERStatementMeta
+ * @property {String} [type] The CRUD type declared via `-- @type READ` (one of `CREATE`, `READ`, `UPDATE` or `DELETE`). Takes precedence over the SQL file name prefix, but can still be
+ * overridden by the `type` on the {@link SQLERExecOptions}.
+ * @property {String} [description] The description declared via `-- @description Some description` (multiple lines are joined)
+ * @property {Object} [binds] The declared bind parameters where each property name is the bind name and the value is an object containing the optional bind `type` (one of `string`,
+ * `int`, `number`, `boolean`, `date` or `array`) and a `required` flag. Declared via `-- @bind name[:type] [required]` (one line per bind). Execution will be rejected when a `required`
+ * bind is missing from both the {@link SQLERExecOptions} `binds` and the {@link SQLERConnectionOptions} `binds` or when a bind value does not match the declared `type` (see
+ * {@link SQLERConnectionOptions} `validateBinds`).
+ * @property {String[]} [frags] The default fragments declared via `-- @frags frag1, frag2` that will be used when no fragments are passed into the {@link SQLERPreparedFunction}
+ * @property {Integer} [timeout] The default execution timeout (in milliseconds) declared via `-- @timeout 5000` that will be used when the {@link SQLERExecOptions} does not contain a
+ * `timeout` (takes precedence over the {@link SQLERConnectionOptions} `timeout`)
+ * @property {Integer} [ttl] The time-to-live (in milliseconds) declared via `-- @ttl 60000` that will be passed into {@link SQLERCache} `set` when the SQL statement is cached
+ * @property {(String | Boolean)} [deprecated] Declared via `-- @deprecated [message]`. A deprecation message will be logged the first time the {@link SQLERPreparedFunction} is executed.
+ * @property {String} [script] The statement delimiter declared via `-- @script [delimiter]` (defaults to `;`). The SQL file will be split into multiple statements that are executed
+ * in order within a single transaction (see {@link SQLERExecResults} `statements`). Word delimiters (e.g. `GO`) must reside on a line by themselves.
+ */
+
+/**
+ * A tracer that is used to start spans for {@link SQLERPreparedFunction} executions, {@link SQLERTransaction} begin/commit/rollback and {@link Manager.init}/{@link Manager.close}.
+ * The interface is a subset of an [OpenTelemetry](https://opentelemetry.io/) `Tracer` so an OpenTelemetry tracer can be passed directly into the {@link Manager}. The following span names
+ * are used: `sqler.exec`, `sqler.transaction.begin`, `sqler.transaction.commit`, `sqler.transaction.rollback`, `sqler.init` and `sqler.close`. Each span will contain attributes for
+ * the applicable `sqler.connection`, `sqler.dialect`, `sqler.name`, `sqler.file`, `sqler.type`, `sqler.transaction.id`, `sqler.rows`, `sqler.connections` and/or `sqler.errors`.
+ * @typedef {Object} SQLERTracer
+ * @property {Function} startSpan A `function(name, options, context)` that starts and returns a span. The `options.attributes` will contain the initial span attributes and the `context`
+ * will be the parent context passed via `traceContext` (or `undefined` when the tracer's active context should be used). The returned span must implement `setAttribute(key, value)` and
+ * `end()` and can optionally implement `recordException(error)` and `setStatus(status)`.
+ */
+
+/**
+ * An event emitted by a {@link Manager} for each of the {@link Manager.EVENT_TYPES} (e.g. `manager.on('exec:end', evt => console.log(evt.duration))`).
+ * __Bind values are never included in events, only the bind names.__
+ * @typedef {Object} SQLEREvent
+ * @property {String} type The event type (i.e. one of the {@link Manager.EVENT_TYPES})
+ * @property {String} connection The connection name the event was emitted for
+ * @property {String} dialect The dialect name used by the connection
+ * @property {SQLERExecMeta} [meta] The metadata of the SQL being executed (`exec:*` events only)
+ * @property {SQLERExecOptions} [options] A copy of the execution options where the `binds` are replaced with the bind names (`exec:*` events only)
+ * @property {String[]} [fragments] The fragments used by the execution (`exec:*` events only)
+ * @property {String} [transactionId] The transaction ID (`tx:*` events only)
+ * @property {Number} [duration] The number of milliseconds it took to execute the SQL (`exec:end`/`exec:error`), the number of milliseconds the transaction was
+ * in progress (`tx:commit`/`tx:rollback`) or the number of milliseconds the connection operation took (`connection:init`/`connection:close`)
+ * @property {Integer} [rowCount] The number of rows returned by the execution (`exec:end` only, `undefined` when no rows are returned)
+ * @property {Integer} [batchSize] The number of bind parameter sets executed via {@link Dialect.execMany} (`exec:*` events from a {@link SQLERPreparedBatchFunction} only)
+ * @property {Error} [error] The error that occurred (`exec:error`, `connection:init` and `connection:close` only)
+ * @property {*} [result] The result returned by the {@link Dialect} operation (`connection:init` and `connection:close` only)
+ * @property {String[]} [added] The SQL file paths that were added (`connection:reload` only)
+ * @property {String[]} [removed] The SQL file paths that were removed (`connection:reload` only)
+ * @property {String[]} [modified] The SQL file paths that were modified (`connection:reload` only)
+ */
+
 /**
  * Options for handling any errors that occur during execution.
  * @typedef {Object} SQLERExecErrorOptions
@@ -994,22 +3168,150 @@ let internal = function (object) {
  * in the SQL source will be excluded from the final SQL statement when there is no matching fragment name.
  * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] Either the error handling options or a boolean flag indicating that any errors that occur during execution should be returned in
  * the {@link SQLERExecResults} rather then being thrown.
+ * @returns {(SQLERExecResults | SQLERRenderResults)} The execution results (or the rendered results when using the `dryRun` option)
+ * @property {SQLERStatementMeta} meta The metadata declared in the header of the SQL file (an empty object when the SQL file does not contain a header)
+ * @property {SQLERPreparedBatchFunction} batch Executes the SQL statement once for each of the bind parameter sets in a single batch
+ */
+
+/**
+ * Executes the SQL statement of a {@link SQLERPreparedFunction} once for each of the bind parameter sets. The SQL statement is rendered once using the `binds` from the
+ * {@link SQLERExecOptions} (the bind parameter sets are not used when evaluating fragment conditions or array expansions). When the {@link Dialect} implements
+ * {@link Dialect.execMany} (e.g. driver array DML), all of the bind parameter sets are executed in a single call. Otherwise, the SQL statement is executed sequentially for each
+ * bind parameter set within a single transaction (a transaction is started and committed/rolled back when the `transactionId` is omitted). When any of the sequential executions
+ * fail, the remaining bind parameter sets are skipped (and any prior bind parameter sets are reported as `rolledBack` when the started transaction is rolled back). Any {@link SQLERMiddleware} is invoked for both approaches: once for the entire batch (with the {@link SQLERExecContext}
+ * `bindsList`) when using {@link Dialect.execMany} or once for each bind parameter set when executing sequentially.
+ * @example
+ * const rslt = await mgr.db.myConn.create.my.table.batch([{ id: 1, name: 'a' }, { id: 2, name: 'b' }]);
+ * for (let { affected, error } of rslt.results) console.log(affected, error);
+ * @async
+ * @callback {Function} SQLERPreparedBatchFunction
+ * @param {Object[]} bindsList The bind parameter sets. Each set is merged with the {@link SQLERExecOptions} `binds` and the {@link SQLERConnectionOptions} `binds`.
+ * @param {SQLERExecOptions} [opts] The execution options shared by all of the bind parameter sets (`stream` is not supported)
+ * @param {String[]} [frags] Consists of any fragment segment names present in the SQL being executed that will be included in the final SQL statement
+ * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] Either the error handling options or a boolean flag indicating that any errors that occur during execution should be returned
+ * rather then being thrown (errors for individual bind parameter sets are always returned in the {@link SQLERBatchResults} `results`)
+ * @returns {SQLERBatchResults} The batch execution results (or the rendered SQL with `binds` set to the bind parameter sets when using the `dryRun` option)
+ */
+
+/**
+ * Middleware that is invoked for every {@link SQLERPreparedFunction} execution that has been registered via {@link Manager.use}. Middleware can inspect and/or modify the
+ * {@link SQLERExecContext} before the SQL statement is executed by the {@link Dialect} and can transform the {@link SQLERExecResults} (or errors) afterwards. Each middleware
+ * __must__ `return next()` (or return an alternative {@link SQLERExecResults}) in order to continue the execution.
+ * @async
+ * @callback {Function} SQLERMiddleware
+ * @param {SQLERExecContext} ctx The execution context
+ * @param {Function} next An `async function()` that invokes the next middleware in the chain (or the {@link Dialect.exec} when there are no more middleware) and returns the
+ * {@link SQLERExecResults}
  * @returns {SQLERExecResults} The execution results
+ * @example
+ * // audit every execution on every connection
+ * manager.use(async (ctx, next) => {
+ *   const rslt = await next();
+ *   await audit(ctx.connection, ctx.meta.path, rslt.rows && rslt.rows.length);
+ *   return rslt;
+ * });
+ * // tenant scoping on the "fin" connection
+ * manager.use(async (ctx, next) => {
+ *   ctx.options.binds.tenantId = getTenantId();
+ *   ctx.fragments = [...(ctx.fragments || []), 'tenant'];
+ *   ctx.render(); // re-render the SQL using the modified binds/fragments
+ *   return next();
+ * }, 'fin');
+ */
+
+/**
+ * The context of a {@link SQLERPreparedFunction} execution that is passed into each {@link SQLERMiddleware}
+ * @typedef {Object} SQLERExecContext
+ * @property {String} connection The connection name
+ * @property {String} dialect The dialect name used by the connection
+ * @property {SQLERExecMeta} meta The metadata for the SQL being executed
+ * @property {String} source The SQL statement source before any of the substitutions have been applied by {@link SQLERExecContext.render}
+ * @property {String} sql The rendered SQL statement that will be passed into {@link Dialect.exec} (can be modified)
+ * @property {SQLERExecOptions} options The execution options that will be passed into {@link Dialect.exec} (can be modified)
+ * @property {String[]} [fragments] The fragments that will be passed into {@link Dialect.exec} (can be modified)
+ * @property {(SQLERExecErrorOptions | Boolean)} [errorOptions] The error options passed into the {@link SQLERPreparedFunction}
+ * @property {*} [traceContext] The parent context used when starting the execution span on the {@link SQLERTracer} (when passed into the {@link SQLERPreparedFunction})
+ * @property {Object[]} [bindsList] The bind parameter sets when executing a {@link SQLERPreparedBatchFunction} via {@link Dialect.execMany} (can be modified). Each set is merged
+ * with the shared `options.binds` before being passed into {@link Dialect.execMany}. The result returned by `next` will be the {@link SQLERBatchResults}.
+ * @property {Function} render A `function()` that re-renders `sql` from the `source` using the current `options.binds` and `fragments` and returns the rendered SQL. Should be called
+ * whenever `options.binds` and/or `fragments` are modified by a {@link SQLERMiddleware} that need to be reflected in the SQL statement. The `options.binds` are replaced with a copy
+ * that contains any expanded and/or pagination bind values (the previous `options.binds` are not modified).
+ */
+
+/**
+ * Execution metrics for a {@link SQLERPreparedFunction} that are composed by {@link Manager.metrics}
+ * @typedef {Object} SQLERExecMetrics
+ * @property {String} connection The connection name
+ * @property {String} name The {@link SQLERExecMeta} `name` of the SQL being executed
+ * @property {String} path The {@link SQLERExecMeta} `path` of the SQL being executed
+ * @property {Integer} count The total number of executions (including executions that resulted in an error)
+ * @property {Integer} errors The number of executions that resulted in an error
+ * @property {Integer} rows The total number of rows returned by the executions
+ * @property {Object} latency The execution durations (in milliseconds)
+ * @property {Number} latency.sum The sum of all the execution durations
+ * @property {Number} latency.min The minimum execution duration
+ * @property {Number} latency.max The maximum execution duration
+ * @property {Number} latency.mean The mean execution duration
+ * @property {Number} latency.p50 The 50th percentile (median) of the most recent execution durations
+ * @property {Number} latency.p95 The 95th percentile of the most recent execution durations
+ * @property {Number} latency.p99 The 99th percentile of the most recent execution durations
  */
 
 /**
  * Results returned from invoking a {@link SQLERPreparedFunction}.
  * @typedef {Object} SQLERExecResults
- * @property {Object[]} [rows] The execution array of model objects representing each row or `undefined` when executing a non-read SQL statement.
+ * @property {(Object[] | Readable)} [rows] The execution array of model objects representing each row or `undefined` when executing a non-read SQL statement. When `stream` is _truthy_
+ * on the {@link SQLERExecOptions}, an object mode `Readable` stream of rows (also an async iterable) will be returned instead.
  * @property {Function} [unprepare] A no-argument _async_ function that unprepares an outstanding prepared statement. Will not be available when the {@link SQLERPreparedFunction} is called
  * when the specified `prepareStatement` is _falsy_ on the {@link SQLERExecOptions} passed into the {@link SQLERPreparedFunction}. When a prepared statement is used in conjunction with a
  * {@link SQLERTransaction} `transactionId` on the {@link SQLERExecOptions}, `unprepare` will be implicitly called when `transaction.commit` or `transaction.rollback` are called (of course,
  * `unprepare` can still be explicitly called as well).
  * __NOTE: A call to `unprepare` must be invoked when a `prepareStatement` is _truthy_ to ensue underlying statements and/or connections are completed and closed.__
  * @property {Error} [error] Any caught error that occurred when a {@link SQLERPreparedFunction} was invoked with the `errorOpts` flag set to a _truthy_ value.
+ * @property {Integer} [affected] The number of rows affected by the execution (when supported by the {@link Dialect})
+ * @property {Object[]} [chunks] The `affected` rows and `raw` results for each chunk when a `[[VALUES (...)]]` substitution is executed in chunks due to the
+ * {@link SQLERConnectionOptions} `maxBinds` (the `rows` are concatenated, the `affected` rows are summed and the `raw` results are from the last chunk)
+ * @property {SQLERScriptStatementResults[]} [statements] The results for each statement that was executed when the SQL file declares a {@link SQLERStatementMeta} `script`. When a
+ * statement fails, the `error.sqler.statement` will contain the index of the failed statement.
  * @property {Object} raw The raw results from the execution (driver-specific execution results).
  */
 
+/**
+ * Results for an individual statement that is executed from a SQL file that declares a {@link SQLERStatementMeta} `script`
+ * @typedef {Object} SQLERScriptStatementResults
+ * @property {Integer} index The index of the statement within the script
+ * @property {String} sql The statement that was executed (before any expansion/pagination substitutions were made)
+ * @property {Object[]} [rows] The rows returned by the statement (when any)
+ * @property {Integer} [affected] The number of rows affected by the statement (when supported by the {@link Dialect})
+ * @property {Number} duration The number of milliseconds it took to execute the statement
+ * @property {*} raw The raw results from the statement execution (driver-specific execution results)
+ */
+
+/**
+ * Results returned from invoking a {@link SQLERPreparedBatchFunction} or {@link Dialect.execMany}
+ * @typedef {Object} SQLERBatchResults
+ * @property {Object[]} results The result for each of the bind parameter sets (in the same order as the bind parameter sets)
+ * @property {Integer} [results[].affected] The number of rows affected by the bind parameter set (when supported by the {@link Dialect})
+ * @property {Object[]} [results[].rows] The rows returned for the bind parameter set (when any), mapped using the {@link SQLERRowMappingOptions} (when present)
+ * @property {Error} [results[].error] The error that occurred while executing the bind parameter set
+ * @property {Boolean} [results[].skipped] `true` when the bind parameter set was not executed due to a prior error
+ * @property {Boolean} [results[].rolledBack] `true` when the bind parameter set was executed, but the transaction started for the batch was rolled back due to a subsequent error
+ * (only when the {@link Dialect} does not implement {@link Dialect.execMany} and the batch is not executed within a `transactionId`, otherwise the results of the bind parameter
+ * sets executed before the error are retained and the outcome is determined by the commit/rollback of the transaction)
+ * @property {Error} [error] Any caught error that occurred when the batch was invoked with the `errorOpts` flag set to a _truthy_ value (an error for the entire batch).
+ * @property {*} raw The raw results from the execution (driver-specific execution results)
+ */
+
+/**
+ * Results returned from invoking a {@link SQLERPreparedFunction} using the {@link SQLERExecOptions} `dryRun` option or {@link Manager.render}
+ * @typedef {Object} SQLERRenderResults
+ * @property {String} sql The final SQL statement that would have been passed into {@link Dialect.exec}
+ * @property {Object} binds The final bind parameters that would have been passed into {@link Dialect.exec} (including any expanded array binds)
+ * @property {Object} [positional] The positional form of the SQL statement (only present when the `dryRun` option contains `positional`)
+ * @property {String} positional.sql The SQL statement with positional bind parameters
+ * @property {Array} positional.binds The bind parameter values in positional order
+ */
+
 /**
  * Transaction that symbolizes a unit of work performed within a {@link Manager} connection.
  * @typedef {Object} SQLERTransaction
@@ -1025,6 +3327,8 @@ let internal = function (object) {
 /**
  * Options for a {@link SQLERTransaction} that can be passed into a `manager.connectionName.beginTransaction(transactionDriverOptions)` function.
  * @typedef {Object} SQLERTransactionOptions
+ * @property {*} [traceContext] The parent context that will be used when starting the transaction spans (i.e. begin, commit and rollback) on the {@link SQLERTracer} passed into the
+ * {@link Manager} constructor (e.g. an OpenTelemetry `Context`). Omit to use the active context of the tracer.
  */
 
 /**
@@ -1045,6 +3349,24 @@ let internal = function (object) {
  * `errorOpts`. Each will contain meta properties set by [Asynchro](https://ugate.github.io/asynchro).
  */
 
+/**
+ * Results returned from {@link lint} and {@link Manager.lint}
+ * @typedef {Object} SQLERLintResults
+ * @property {SQLERLintIssue[]} errors The issues that will cause SQL files to fail (or silently misbehave) when they are prepared and/or executed
+ * @property {SQLERLintIssue[]} warnings The issues that may indicate a problem with the SQL files
+ */
+
+/**
+ * An issue found while validating SQL files via {@link lint}
+ * @typedef {Object} SQLERLintIssue
+ * @property {String} severity Either `error` or `warning`
+ * @property {String} code The code that identifies the type of issue (see {@link lint} for a list of codes)
+ * @property {String[]} connections The names of the connections that use the SQL file
+ * @property {String} file The path to the SQL file (or directory)
+ * @property {Integer} [line] The line number where the issue was found (when applicable)
+ * @property {String} message The issue description
+ */
+
 /**
  * Options that are used during initialization
  * @typedef {Object} SQLERInitOptions
@@ -1059,6 +3381,10 @@ let internal = function (object) {
  * @property {Object} [connections] The connection state
  * @property {Integer} [connections.count] The number of connections
  * @property {Integer} [connections.inUse] The number of connections that are in use
+ * @property {Object} [circuit] The circuit breaker state (only present when the `circuitBreaker` is enabled on the {@link SQLERConnectionOptions})
+ * @property {String} [circuit.state] The state of the circuit breaker: `closed` (executions are allowed), `open` (executions fail fast) or `half-open` (a trial execution is allowed)
+ * @property {Integer} [circuit.failures] The number of consecutive failures that have been encountered
+ * @property {Date} [circuit.opened] The date when the circuit breaker was last opened (`null` when it has never been opened)
  */
 
 /**
@@ -45,7 +45,9 @@ class Dialect {
   }
 
   /**
-   * Executes a SQL statement
+   * Executes a SQL statement. When supported by the underlying driver, implementations should use `opts.timeout` as the statement timeout and cancel the statement when
+   * `opts.signal` is aborted (the {@link Manager} will reject the execution in either case and aborts `opts.signal` when the `opts.timeout` elapses, but only the driver can
+   * terminate the statement on the database).
    * @param {String} sql The SQL to execute
    * @param {SQLERExecOptions} opts The execution options
    * @param {String[]} frags The frament keys within the SQL that will be retained
@@ -59,6 +61,75 @@ class Dialect {
       JSON.stringify(opts)}\nFragments: ${frags})\nMetadata:\n${JSON.stringify(meta)}\nError options:\n${JSON.stringify(errorOpts)}`);
   }
 
+  /**
+   * Executes a SQL statement and streams the resulting rows when `stream` is set on the {@link SQLERExecOptions}. Implementations that support streaming should override and return
+   * {@link SQLERExecResults} where `rows` is an object mode `Readable` (or an async iterable) that releases any underlying resources (e.g. connections, cursors, etc.) when it ends or is
+   * destroyed. When `opts.transactionId` is set, the connection should remain held by the transaction after the stream ends. By default, rows are read via {@link Dialect.exec}.
+   * @param {String} sql The SQL to execute
+   * @param {SQLERExecOptions} opts The execution options
+   * @param {String[]} frags The frament keys within the SQL that will be retained
+   * @param {SQLERExecMeta} meta The metadata used to generate the execution
+   * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] The error options to use
+   * @returns {SQLERExecResults} The execution results
+   */
+  async execStream(sql, opts, frags, meta, errorOpts) {
+    return this.exec(sql, opts, frags, meta, errorOpts);
+  }
+
+  /**
+   * __Optional__ - Executes a SQL statement once for each of the bind parameter sets in a single call to the underlying driver (e.g. array DML). Implementations that support
+   * batch execution should define an `execMany` method. When not defined, a {@link SQLERPreparedBatchFunction} will call {@link Dialect.exec} sequentially for each of the bind
+   * parameter sets within a single transaction.
+   * @function execMany
+   * @memberof Dialect
+   * @instance
+   * @async
+   * @param {String} sql The SQL to execute (rendered once for all of the bind parameter sets)
+   * @param {SQLERExecOptions} opts The execution options shared by all of the bind parameter sets
+   * @param {Object[]} bindsList The bind parameter sets
+   * @param {String[]} frags The frament keys within the SQL that will be retained
+   * @param {SQLERExecMeta} meta The metadata used to generate the execution
+   * @param {(SQLERExecErrorOptions | Boolean)} [errorOpts] The error options to use
+   * @returns {SQLERBatchResults} The batch execution results that contain the `affected` count and/or `error` for each bind parameter set
+   */
+
+  /**
+   * Supplies the pagination syntax for a SQL statement that contains a `[[page :offset :limit]]` tag. By default, the built-in pagination set via the {@link SQLERConnectionOptions}
+   * `pagination` will be used. Extending classes can override in order to supply vendor-specific pagination syntax.
+   * @param {String} head The SQL that precedes the pagination tag
+   * @param {String} tail The SQL that follows the pagination tag
+   * @param {String} offset The _offset_ bind parameter (e.g. `:offset`)
+   * @param {String} limit The _limit_ bind parameter (e.g. `:limit`)
+   * @returns {String} The paginated SQL statement or a _falsy_ value to use the built-in pagination
+   */
+  paginate(head, tail, offset, limit) {
+    return null;
+  }
+
+  /**
+   * Classifies an error thrown by {@link Dialect.init} or {@link Dialect.exec} as transient (i.e. the operation may succeed when retried). Used by the {@link SQLERRetryOptions}
+   * set on the {@link SQLERConnectionOptions} or {@link SQLERExecOptions}. By default, only common network errors are considered transient. Extending classes should override
+   * in order to classify vendor-specific errors (e.g. deadlocks, serialization failures, etc.).
+   * @param {Error} err The error to classify
+   * @returns {Boolean} Truthy when the error is transient
+   */
+  isTransientError(err) {
+    return !!err && ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'].includes(err.code);
+  }
+
+  /**
+   * Classifies an error thrown by {@link Dialect.exec} as a failure that counts towards opening the circuit breaker set on the {@link SQLERConnectionOptions} `circuitBreaker`
+   * (i.e. the database may be unavailable). By default, every error is a failure except errors that contain a SQLSTATE (via `err.sqlState` or a 5 character `err.code`) for a data
+   * exception, constraint violation or syntax error since those errors indicate that the database is reachable. Extending classes should override in order to classify
+   * vendor-specific errors (e.g. `ORA-00942` is not a failure while `ORA-12541` is).
+   * @param {Error} err The error to classify
+   * @returns {Boolean} Truthy when the error is a circuit breaker failure
+   */
+  isCircuitFailure(err) {
+    const state = err && (err.sqlState || (/^[0-9A-Z]{5}$/.test(err.code) && err.code));
+    return !state || !['21', '22', '23', '42', '44'].includes(String(state).substring(0, 2));
+  }
+
   /**
    * Closes any dialaect resources that may have been opened during {@link Dialect.init}
    * @returns {Integer} The number of connections that were closed
@@ -0,0 +1,179 @@
+'use strict';
+
+const TYPES_FN = Symbol('sqlerTypesFunction'); // namespace tree property where a SQL file is captured when generating TypeScript declarations
+const TYPES_BINDS = Object.freeze({ string: 'string', int: 'number', number: 'number', boolean: 'boolean', date: 'Date | string', array: 'any[]' });
+const TYPES_PREAMBLE = Object.freeze([
+  '// Generated by sqler (regenerate using "sqler types" rather than editing)',
+  '',
+  'export type SQLERType = \'CREATE\' | \'READ\' | \'UPDATE\' | \'DELETE\';',
+  '',
+  'export interface SQLERStatementMeta {',
+  '  type?: SQLERType;',
+  '  description?: string;',
+  '  binds?: { [name: string]: { type?: string; required: boolean } };',
+  '  frags?: string[];',
+  '  timeout?: number;',
+  '  ttl?: number;',
+  '  deprecated?: string | boolean;',
+  '  script?: string;',
+  '}',
+  '',
+  'export interface SQLERExecErrorOptions {',
+  '  handler?: (error: Error) => void;',
+  '  includeBindValues?: boolean;',
+  '  returnErrors?: boolean;',
+  '}',
+  '',
+  'export interface SQLERExecOptions<B = { [name: string]: any }> {',
+  '  name?: string;',
+  '  type?: SQLERType;',
+  '  binds?: B;',
+  '  autoCommit?: boolean;',
+  '  transactionId?: string;',
+  '  prepareStatement?: boolean;',
+  '  dateFormatter?: ((date: Date) => string) | boolean;',
+  '  driverOptions?: { [name: string]: any };',
+  '  timeout?: number;',
+  '  signal?: any;',
+  '  stream?: boolean;',
+  '  retry?: { [name: string]: any } | boolean;',
+  '  rowMapping?: { [name: string]: any } | boolean;',
+  '  traceContext?: any;',
+  '  dryRun?: boolean | SQLERDryRunOptions;',
+  '}',
+  '',
+  'export interface SQLERDryRunOptions {',
+  '  positional?: boolean | string | ((name: string, index: number) => string);',
+  '}',
+  '',
+  'export interface SQLERExecResults<R = { [name: string]: any }> {',
+  '  rows?: R[] | AsyncIterable<R>;',
+  '  affected?: number;',
+  '  unprepare?: () => Promise<void>;',
+  '  error?: Error;',
+  '  chunks?: { affected?: number; raw?: any }[];',
+  '  statements?: SQLERScriptStatementResults<R>[];',
+  '  raw?: any;',
+  '}',
+  '',
+  'export interface SQLERScriptStatementResults<R = { [name: string]: any }> {',
+  '  index: number;',
+  '  sql: string;',
+  '  rows?: R[];',
+  '  affected?: number;',
+  '  duration: number;',
+  '  raw?: any;',
+  '}',
+  '',
+  'export interface SQLERBatchResults {',
+  '  results?: { affected?: number; rows?: { [name: string]: any }[]; error?: Error; skipped?: boolean; rolledBack?: boolean }[];',
+  '  error?: Error;',
+  '  raw?: any;',
+  '}',
+  '',
+  'export interface SQLERRenderResults {',
+  '  sql: string;',
+  '  binds: { [name: string]: any };',
+  '  positional?: { sql: string; binds: any[] };',
+  '}',
+  '',
+  'export interface SQLERPreparedFunction<B = { [name: string]: any }, F extends string = string> {',
+  '  (opts: SQLERExecOptions<B> & { dryRun: true | SQLERDryRunOptions }, frags?: F[], errorOpts?: SQLERExecErrorOptions | boolean): Promise<SQLERRenderResults>;',
+  '  (opts?: SQLERExecOptions<B>, frags?: F[], errorOpts?: SQLERExecErrorOptions | boolean): Promise<SQLERExecResults>;',
+  '  batch(bindsList: Partial<B>[], opts?: SQLERExecOptions<B>, frags?: F[], errorOpts?: SQLERExecErrorOptions | boolean): Promise<SQLERBatchResults>;',
+  '  readonly meta: SQLERStatementMeta;',
+  '}',
+  '',
+  'export interface SQLERTransaction {',
+  '  id: string;',
+  '  commit(): Promise<void>;',
+  '  rollback(): Promise<void>;',
+  '  state: { isCommitted: boolean; isRolledback: boolean; pending: number };',
+  '}',
+  '',
+  'export interface SQLERConnection {',
+  '  beginTransaction(opts?: { [name: string]: any }): Promise<SQLERTransaction>;',
+  '}',
+  ''
+]);
+
+/**
+ * Generates [TypeScript](https://www.typescriptlang.org/) declarations for the {@link SQLERPreparedFunction}(s) of the SQL files that have been discovered/parsed by {@link types}
+ * @private
+ * @param {Object[]} dirs The SQL directories where each directory contains the `connections` ({@link SQLERConnectionOptions}) that share the directory and the `files` within the
+ * directory. Each file contains the namespace `ns`, the {@link SQLERStatementMeta} header `meta`, the fragment keys `frags` and the `binds` present in the SQL where each bind
+ * contains the `name` and a `conditional` flag (i.e. the bind resides within a substitution tag).
+ * @returns {String} The TypeScript declarations
+ */
+function typeDeclarations(dirs) {
+  const lines = [...TYPES_PREAMBLE, 'export interface SQLERDatabase {'];
+  for (let dir of dirs) {
+    const tree = {};
+    for (let file of dir.files) {
+      let node = tree;
+      for (let name of file.ns) {
+        node = node[name] = node[name] || {};
+      }
+      node[TYPES_FN] = file;
+    }
+    for (let conn of dir.connections) {
+      lines.push(`  ${typesName(conn.name)}: SQLERConnection & ${typesTree(tree, conn, 1)};`);
+    }
+  }
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+/**
+ * Generates the TypeScript type literal for a namespace tree of SQL files
+ * @private
+ * @param {Object} node The namespace tree node (SQL files are set on the node using the `TYPES_FN` symbol)
+ * @param {SQLERConnectionOptions} conn The connection that the declarations are being generated for
+ * @param {Integer} depth The indentation depth
+ * @returns {String} The type literal
+ */
+function typesTree(node, conn, depth) {
+  const indent = '  '.repeat(depth), props = [];
+  for (let name of Object.keys(node).sort()) {
+    props.push(`${indent}  ${typesName(name)}: ${typesTree(node[name], conn, depth + 1)};`);
+  }
+  const file = node[TYPES_FN];
+  const fn = file && `SQLERPreparedFunction<${typesBinds(file, conn)}, ${file.frags.length ? file.frags.map(frag => `'${frag}'`).join(' | ') : 'never'}>`;
+  if (!props.length) return fn;
+  return `${fn ? `${fn} & ` : ''}{\n${props.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Generates the TypeScript type literal for the bind parameters of a SQL file
+ * @private
+ * @param {Object} file The SQL file (see {@link typeDeclarations})
+ * @param {SQLERConnectionOptions} conn The connection that the declarations are being generated for
+ * @returns {String} The type literal
+ */
+function typesBinds(file, conn) {
+  const binds = {}, meta = file.meta;
+  for (let bind of file.binds) {
+    const required = !bind.conditional && !(conn.binds && conn.binds.hasOwnProperty(bind.name));
+    binds[bind.name] = { type: 'any', required: (binds[bind.name] && binds[bind.name].required) || required };
+  }
+  if (meta.binds) for (let name in meta.binds) {
+    binds[name] = {
+      type: TYPES_BINDS[meta.binds[name].type] || 'any',
+      required: meta.binds[name].required || (binds[name] ? binds[name].required : false)
+    };
+  }
+  const names = Object.keys(binds).sort();
+  return names.length ? `{ ${names.map(name => `${typesName(name)}${binds[name].required ? '' : '?'}: ${binds[name].type};`).join(' ')} }` : '{}';
+}
+
+/**
+ * Formats a property name for use in TypeScript declarations
+ * @private
+ * @param {String} name The property name
+ * @returns {String} The name (quoted when the name is not a valid identifier)
+ */
+function typesName(name) {
+  return /^[a-zA-Z_$][\w$]*$/.test(name) ? name : `'${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+module.exports = typeDeclarations;
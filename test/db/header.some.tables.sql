@@ -0,0 +1,17 @@
+-- @type READ
+-- @description Reads some tables using a header rather than
+-- @description a CRUD prefixed file name
+-- @bind someCol1:int required
+-- @bind someCol2:int
+-- @bind someCol3
+-- @frags someFrag
+-- @timeout 5000
+-- @ttl 60000
+-- @deprecated Use read.some.tables instead
+SELECT TDB.SOME_COL1, TDB.SOME_COL2, TDB.SOME_COL3
+FROM TEST_DB TDB
+WHERE TDB.SOME_COL1 = :someCol1
+AND TDB.SOME_COL2 = :someCol2
+[[? someFrag]]
+AND TDB.SOME_COL3 = :someCol3
+[[?]]
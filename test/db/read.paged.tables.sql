@@ -0,0 +1,7 @@
+SELECT TDB.SOME_COL1, TDB.SOME_COL2
+FROM TEST_DB TDB
+WHERE TDB.SOME_COL1 = :someCol1
+AND TDB.SOME_COL2 = :someCol2
+AND TDB.SOME_COL3 = :someCol3
+ORDER BY TDB.SOME_COL1
+[[page :offset :limit]]
\ No newline at end of file
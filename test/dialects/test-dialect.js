@@ -2,6 +2,7 @@
 
 /** @type {import('../..').SQLERExports} */
 const { Manager, Dialect } = require('../../index');
+const { Readable } = require('stream');
 const UtilOpts = require('../util/utility-options');
 const { expect } = require('@hapi/code');
 
@@ -18,6 +19,7 @@ class TestDialect extends Dialect {
     this.transactions = new Map();
     this.preparedStatements = new Map();
     this.preparedStatementsInTransactions = new Map();
+    this.transientErrors = new Map();
 
     expect(priv, 'priv').to.be.object();
     expect(priv.host, 'priv.host').to.be.string();
@@ -61,6 +63,7 @@ class TestDialect extends Dialect {
       if (this.connConf.driverOptions.throwInitError) {
         throw new Error(`Test error due to "this.connConf.driverOptions.throwInitError" = ${this.connConf.driverOptions.throwInitError}`);
       }
+      handleThrowTransientError(this, 'init', this.connConf.driverOptions.throwTransientInitErrors);
       expect(opts.numOfPreparedFuncs, `Number of prepared functions`).to.equal(this.connConf.driverOptions && this.connConf.driverOptions.numOfPreparedFuncs);
     }
     return true;
@@ -121,6 +124,9 @@ class TestDialect extends Dialect {
 
       handleThrowError(dialect, opts);
 
+      const execDelay = UtilOpts.driverOpt('execDelay', opts, dialect.connConf).value;
+      if (execDelay) await new Promise(resolve => setTimeout(resolve, execDelay));
+
       if (!TestDialect.BYPASS_NEXT_EXEC_OPTS_CHECK) expectBinds(dialect, sql, opts);
       expectRawSubstitutes(dialect, sql);
       expectFrags(dialect, sql, opts, frags);
@@ -154,6 +160,36 @@ class TestDialect extends Dialect {
     return rslt;
   }
 
+  /**
+   * @inheritdoc
+   */
+  async execStream(sql, opts, frags, meta, errorOpts) {
+    expect(opts.stream, 'opts.stream').to.be.true();
+    const dialect = this, rslt = await dialect.exec(sql, opts, frags, meta, errorOpts), rows = rslt.rows || [];
+    let idx = 0;
+    TestDialect.OPEN_STREAMS = (TestDialect.OPEN_STREAMS || 0) + 1;
+    rslt.rows = new Readable({
+      objectMode: true,
+      highWaterMark: 1,
+      read() {
+        this.push(idx < rows.length ? rows[idx++] : null);
+      },
+      destroy(err, done) {
+        TestDialect.OPEN_STREAMS--; // simulate releasing the connection
+        done(err);
+      }
+    });
+    return rslt;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  paginate(head, tail, offset, limit) {
+    if (!this.connConf.driverOptions || !this.connConf.driverOptions.paginate) return super.paginate(head, tail, offset, limit);
+    return `${head}${this.connConf.driverOptions.paginate} ${offset}, ${limit}${tail}`;
+  }
+
   /**
    * @inheritdoc
    */
@@ -300,6 +336,7 @@ function expectInterpolate(track) {
  * @param {import('../..').SQLERExecOptions} opts The {@link SQLERExecOptions}
  */
 function handleThrowError(dialect, opts) {
+  handleThrowTransientError(dialect, opts && opts.name, UtilOpts.driverOpt('throwTransientErrors', opts, dialect.connConf).value);
   if (UtilOpts.driverOpt('throwExecError', opts, dialect.connConf).value) {
     const error = new Error(`Test error due to "opts.driverOptions.throwExecError" = ${
       opts.driverOptions.throwExecError} and "this.connConf.driverOptions.throwExecError" = ${dialect.connConf.driverOptions.throwExecError}`);
@@ -314,6 +351,22 @@ function handleThrowError(dialect, opts) {
   }
 }
 
+/**
+ * Throws a transient error (i.e. `error.code = 'ECONNRESET'`) until the number of errors thrown for a given key reaches the specified count
+ * @param {TestDialect} dialect The dialect
+ * @param {String} key The key used to track the number of transient errors thrown (e.g. `opts.name`)
+ * @param {Integer} [count] The number of transient errors that should be thrown for the key before succeeding
+ */
+function handleThrowTransientError(dialect, key, count) {
+  if (!count) return;
+  const thrown = (dialect.transientErrors.get(key) || 0) + 1;
+  dialect.transientErrors.set(key, thrown);
+  if (thrown > count) return;
+  const error = new Error(`Test transient error ${thrown} of ${count} for "${key}"`);
+  error.code = 'ECONNRESET';
+  throw error;
+}
+
 /**
  * Expects a track to contain the implmented `interpolate` field
  * @param {import('../..').SQLERTrack} track The track to expect
@@ -447,6 +500,8 @@ function expectSqlSubstitutes(sql, opts, connConf) {
   expect(sql).to.not.contain('[[!');
   expect(sql).to.not.contain('[[?');
   expect(sql).to.not.contain('[[version');
+  expect(sql).to.not.contain('[[page');
+  expect(sql).to.not.match(/^\s*--\s*@/);
   if (!opts.driverOptions || !opts.driverOptions.substitutes) return;
   if (opts.driverOptions.substitutes.dialects) {
     for (let present of opts.driverOptions.substitutes.dialects.present) {
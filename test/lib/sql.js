@@ -2,11 +2,21 @@
 
 // TODO : ESM comment the following lines...
 const { Labrat, LOGGER } = require('@ugate/labrat');
+const { expect } = require('@hapi/code');
+const { Manager, lint, types } = require('../../index');
 const IntervalCache = require('../cache/interval-cache');
+const { Readable } = require('stream');
+const Fs = require('fs');
+const Path = require('path');
 const UtilOpts = require('../util/utility-options');
 const UtilSql = require('../util/utility-sql');
 // TODO : import { Labrat, LOGGER } from '@ugate/labrat';
+// TODO : import { expect } from '@hapi/code';
+// TODO : import { Manager, lint, types } from '../../index.mjs';
 // TODO : import * as IntervalCache from '../cache/interval-cache.mjs';
+// TODO : import { Readable } from 'stream';
+// TODO : import * as Fs from 'fs';
+// TODO : import * as Path from 'path';
 // TODO : import * as UtilOpts from '../util/utility-options.mjs';
 // TODO : import * as UtilSql from '../util/utility-sql.mjs';
 
@@ -73,6 +83,42 @@ class Tester {
     return UtilSql.testRead(test.mgr, addConn.name);
   }
 
+  static async readWithRemoveConnection() {
+    const conf = await UtilSql.initConf(), connName = conf.db.connections[0].name;
+    const initOpts = {
+      cache: new IntervalCache({ expiresIn: 100 }),
+      logger: test.mgrLogit ? UtilOpts.generateTestConsoleLogger : UtilOpts.generateTestAbyssLogger
+    };
+    await UtilSql.initManager(test, conf, initOpts);
+
+    // create another configuration that will be removed
+    const aconf = await UtilSql.initConf(), addConn = aconf.db.connections[0];
+    addConn.name = `${addConn.name}REMOVE`;
+    await test.mgr.addConnection(addConn, null, test.cache, initOpts.logger);
+    await UtilSql.testRead(test.mgr, addConn.name, { cache: test.cache, cacheOpts: { expiresIn: 100 } });
+
+    const rslt = await test.mgr.removeConnection(addConn.name);
+    expect(rslt, `removeConnection("${addConn.name}")`).to.be.object();
+    expect(rslt.result, `removeConnection("${addConn.name}") result`).to.be.object();
+    expect(rslt.result[addConn.name], `removeConnection("${addConn.name}") result.${addConn.name}`).to.equal(1);
+    expect(test.mgr.db[addConn.name], `mgr.db.${addConn.name} (after removal)`).to.be.undefined();
+    UtilSql.expectManagerDB(test.mgr, connName);
+
+    // removed connection name should be reusable
+    await test.mgr.addConnection(addConn, null, test.cache, initOpts.logger);
+    UtilSql.expectManagerDB(test.mgr, addConn.name);
+    await test.mgr.removeConnection(addConn.name, { returnErrors: true });
+
+    // remaining connection should be unaffected
+    return UtilSql.testRead(test.mgr, connName, { cache: test.cache, cacheOpts: { expiresIn: 100 } });
+  }
+
+  static async removeConnectionNonexistent() {
+    const conf = await UtilSql.initConf();
+    await UtilSql.initManager(test, conf);
+    return test.mgr.removeConnection('fakeConnectionNameToTest');
+  }
+
   static async readErrorReturn() {
     const conf = await UtilSql.initConf(), connName = conf.db.connections[0].name;
     await UtilSql.initManager(test, conf, {
@@ -197,6 +243,1186 @@ class Tester {
     }
   }
 
+  static async watch() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    const events = { 'connection:reload': [] };
+    conn.watch = { delay: 10 };
+    await UtilSql.initManager(test, conf, {
+      logger: test.mgrLogit ? UtilOpts.generateTestConsoleLogger : UtilOpts.generateTestAbyssLogger,
+      listeners: { 'connection:reload': evt => events['connection:reload'].push(evt) }
+    });
+
+    await UtilSql.testWatch(test.mgr, connName, `${conf.mainPath}/${conn.dir}`);
+    UtilSql.expectEvents(events, connName, ['connection:reload']);
+  }
+
+  static async events() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    const events = {}, listeners = {};
+    for (let type of Manager.EVENT_TYPES) {
+      listeners[type] = evt => (events[type] = events[type] || []).push(evt);
+    }
+    await UtilSql.initManager(test, conf, { listeners });
+
+    const xopts = UtilOpts.createExecOpts();
+    xopts.autoCommit = false;
+    await UtilSql.testCUD(test.mgr, connName, conf, xopts);
+
+    const tx = await test.mgr.db[connName].beginTransaction();
+    await tx.rollback();
+
+    const eopts = UtilOpts.createExecOpts();
+    eopts.driverOptions = { throwExecError: true };
+    await UtilSql.testRead(test.mgr, connName, { execOpts: eopts, errorOpts: true, prepFuncPaths: { read: 'read.some.tables' } });
+
+    let listened;
+    const failing = evt => {
+      listened = evt.error.sqler;
+      throw new Error('Test exec:error listener error');
+    };
+    test.mgr.on('exec:error', failing);
+    const erslt = await test.mgr.db[connName].read.some.tables(Object.assign(UtilOpts.createExecOpts(true), { driverOptions: { throwExecError: true } }), null, true);
+    test.mgr.removeListener('exec:error', failing);
+    expect(erslt.error, 'exec:error listener error does not replace the original error').to.be.error(Error, /throwExecError/);
+    expect(erslt.error.sqler.file, 'original error.sqler after exec:error listener error').to.endWith('read.some.tables.sql');
+    expect(listened, 'exec:error event error.sqler set before the event').to.shallow.equal(erslt.error.sqler);
+
+    await UtilSql.testOperation('close', test.mgr, connName, 1, `Events close connection "${connName}"`);
+    test.closeConnNames = null;
+
+    UtilSql.expectEvents(events, connName, Manager.EVENT_TYPES.filter(type => type !== 'connection:reload'));
+    expect(events['exec:end'].find(evt => evt.meta.path.endsWith('read.annual.report.sql')).rowCount, `manager.on('exec:end') event.rowCount`).to.equal(2);
+  }
+
+  static async middleware() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    await UtilSql.initManager(test, conf);
+
+    expect(() => test.mgr.use('notAFunction'), 'manager.use() non-function middleware').to.throw();
+    expect(() => test.mgr.use(async (ctx, next) => next(), 'nonexistentConnectionName'), 'manager.use() nonexistent connection').to.throw();
+
+    const calls = [];
+    const rtn = test.mgr.use(async (ctx, next) => {
+      calls.push('manager');
+      expect(ctx.connection, 'middleware ctx.connection').to.equal(connName);
+      expect(ctx.dialect, 'middleware ctx.dialect').to.equal(conn.dialect.toLowerCase());
+      expect(ctx.meta.path, 'middleware ctx.meta.path').to.endWith('read.some.tables.sql');
+      const rslt = await next();
+      rslt.middleware = true;
+      return rslt;
+    });
+    expect(rtn, 'manager.use() return value').to.equal(test.mgr);
+    test.mgr.use(async (ctx, next) => {
+      calls.push('connection');
+      expect(ctx.render(), 'middleware ctx.render()').to.equal(ctx.sql);
+      ctx.options.driverOptions = { recordCount: 3 };
+      return next();
+    }, connName);
+
+    let rslt = await test.mgr.db[connName].read.some.tables(UtilOpts.createExecOpts(true));
+    expect(calls, 'middleware invocation order').to.equal(['manager', 'connection']);
+    expect(rslt.rows, 'middleware modified options result rows').to.have.length(3);
+    expect(rslt.middleware, 'middleware transformed result').to.be.true();
+
+    test.mgr.use(async (ctx, next) => {
+      await next();
+      return next();
+    }, connName);
+    rslt = await test.mgr.db[connName].read.some.tables(UtilOpts.createExecOpts(true), null, true);
+    expect(rslt.error, 'middleware next() called multiple times error').to.be.error();
+    expect(rslt.error.sqler, 'middleware next() called multiple times error.sqler').to.be.object();
+  }
+
+  static async metrics() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    await UtilSql.initManager(test, conf);
+
+    await test.mgr.db[connName].read.some.tables(UtilOpts.createExecOpts(true));
+    await test.mgr.db[connName].read.some.tables(UtilOpts.createExecOpts(true));
+    const eopts = UtilOpts.createExecOpts(true);
+    eopts.driverOptions = { throwExecError: true };
+    const erslt = await test.mgr.db[connName].read.some.tables(eopts, null, true);
+    expect(erslt.error, 'metrics execution error').to.be.error();
+
+    expect(test.mgr.metrics(null, 'nonexistentConnectionName'), 'manager.metrics() nonexistent connection').to.equal({});
+    const metrics = test.mgr.metrics(null, connName);
+    expect(metrics[connName], `manager.metrics().${connName}`).to.be.object();
+    const names = Object.keys(metrics[connName]);
+    expect(names, `manager.metrics().${connName} names`).to.have.length(1);
+    const mtrc = metrics[connName][names[0]];
+    expect(mtrc.connection, 'metrics.connection').to.equal(connName);
+    expect(mtrc.path, 'metrics.path').to.endWith('read.some.tables.sql');
+    expect(mtrc.count, 'metrics.count').to.equal(3);
+    expect(mtrc.errors, 'metrics.errors').to.equal(1);
+    expect(mtrc.rows, 'metrics.rows').to.equal(4);
+    for (let prop of ['sum', 'min', 'max', 'mean', 'p50', 'p95', 'p99']) {
+      expect(mtrc.latency[prop], `metrics.latency.${prop}`).to.be.number();
+    }
+    expect(mtrc.latency.min, 'metrics.latency.min <= metrics.latency.p50').to.be.most(mtrc.latency.p50);
+    expect(mtrc.latency.p99, 'metrics.latency.p99 <= metrics.latency.max').to.be.most(mtrc.latency.max);
+
+    const prom = Manager.prometheus(metrics, { prefix: 'test' });
+    expect(prom, 'Manager.prometheus()').to.be.string();
+    expect(prom, 'Manager.prometheus() executions').to.contain(`test_executions_total{connection="${connName}",name="${names[0]}"} 3`);
+    expect(prom, 'Manager.prometheus() errors').to.contain(`test_execution_errors_total{connection="${connName}",name="${names[0]}"} 1`);
+    expect(prom, 'Manager.prometheus() rows').to.contain(`test_rows_total{connection="${connName}",name="${names[0]}"} 4`);
+    expect(prom, 'Manager.prometheus() duration').to.contain(`test_execution_duration_seconds_count{connection="${connName}",name="${names[0]}"} 3`);
+    expect(prom, 'Manager.prometheus() quantile').to.contain('quantile="0.99"');
+    expect(Manager.prometheus({ [connName]: {} }), 'Manager.prometheus() default prefix').to.contain('# TYPE sqler_executions_total counter');
+
+    test.mgr.metrics({ reset: true });
+    expect(test.mgr.metrics()[connName], 'manager.metrics() after reset').to.equal({});
+  }
+
+  static async tracing() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    const tracer = UtilSql.createTracer(), traceContext = { parent: 'test' };
+    await UtilSql.initManager(test, conf, { tracer });
+
+    const xopts = UtilOpts.createExecOpts(true);
+    xopts.traceContext = traceContext;
+    await test.mgr.db[connName].read.some.tables(xopts);
+
+    const tx = await test.mgr.db[connName].beginTransaction({ traceContext });
+    await tx.commit();
+
+    const eopts = UtilOpts.createExecOpts(true);
+    eopts.driverOptions = { throwExecError: true };
+    const erslt = await test.mgr.db[connName].read.some.tables(eopts, null, true);
+    expect(erslt.error, 'tracing execution error').to.be.error();
+
+    await UtilSql.testOperation('close', test.mgr, connName, 1, `Tracing close connection "${connName}"`);
+    test.closeConnNames = null;
+
+    const spans = name => tracer.spans.filter(span => span.name === name);
+    for (let span of tracer.spans) {
+      expect(span.ended, `span ${span.name} ended`).to.be.true();
+    }
+    expect(spans('sqler.init'), 'sqler.init spans').to.have.length(1);
+    expect(spans('sqler.init')[0].attributes['sqler.errors'], 'sqler.init span sqler.errors').to.equal(0);
+    expect(spans('sqler.close'), 'sqler.close spans').to.have.length(1);
+    expect(spans('sqler.close')[0].attributes['sqler.connections'], 'sqler.close span sqler.connections').to.contain(connName);
+
+    const execs = spans('sqler.exec');
+    expect(execs, 'sqler.exec spans').to.have.length(2);
+    expect(execs[0].context, 'sqler.exec span context').to.equal(traceContext);
+    expect(execs[0].attributes['sqler.connection'], 'sqler.exec span sqler.connection').to.equal(connName);
+    expect(execs[0].attributes['sqler.dialect'], 'sqler.exec span sqler.dialect').to.equal(conn.dialect.toLowerCase());
+    expect(execs[0].attributes['sqler.file'], 'sqler.exec span sqler.file').to.endWith('read.some.tables.sql');
+    expect(execs[0].attributes['sqler.type'], 'sqler.exec span sqler.type').to.equal('READ');
+    expect(execs[0].attributes['sqler.rows'], 'sqler.exec span sqler.rows').to.equal(2);
+    expect(execs[1].context, 'sqler.exec span (error) context').to.be.undefined();
+    expect(execs[1].error, 'sqler.exec span (error) recorded exception').to.be.error();
+    expect(execs[1].status, 'sqler.exec span (error) status').to.be.object();
+
+    for (let name of ['sqler.transaction.begin', 'sqler.transaction.commit']) {
+      expect(spans(name), `${name} spans`).to.have.length(1);
+      expect(spans(name)[0].context, `${name} span context`).to.equal(traceContext);
+      expect(spans(name)[0].attributes['sqler.transaction.id'], `${name} span sqler.transaction.id`).to.equal(tx.id);
+    }
+  }
+
+  static async retry() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    conn.retry = { attempts: 3, delay: 1 };
+    conn.driverOptions.throwTransientInitErrors = 2;
+    await UtilSql.initManager(test, conf);
+
+    const xopts = name => Object.assign(UtilOpts.createExecOpts(true), { name, driverOptions: { throwTransientErrors: 2 } });
+    const rslt = await test.mgr.db[connName].read.some.tables(xopts('retrySuccess'));
+    expect(rslt.rows, 'retry success result rows').to.be.array();
+
+    let eopts = xopts('retryExhausted');
+    eopts.retry = { attempts: 2, jitter: false, delay: 1 };
+    let erslt = await test.mgr.db[connName].read.some.tables(eopts, null, true);
+    expect(erslt.error, 'retry exhausted error').to.be.error();
+    expect(erslt.error.code, 'retry exhausted error.code').to.equal('ECONNRESET');
+    expect(erslt.error.sqler.attempts, 'retry exhausted error.sqler.attempts').to.equal(2);
+
+    eopts = xopts('retryDisabled');
+    eopts.retry = false;
+    erslt = await test.mgr.db[connName].read.some.tables(eopts, null, true);
+    expect(erslt.error.sqler.attempts, 'retry disabled error.sqler.attempts').to.equal(1);
+
+    const tx = await test.mgr.db[connName].beginTransaction();
+    eopts = xopts('retryTransaction');
+    eopts.autoCommit = false;
+    eopts.transactionId = tx.id;
+    erslt = await test.mgr.db[connName].read.some.tables(eopts, null, true);
+    await tx.rollback();
+    expect(erslt.error.sqler.attempts, 'retry within transaction error.sqler.attempts').to.equal(1);
+
+    eopts = xopts('retryNonTransient');
+    eopts.driverOptions = { throwExecError: true };
+    erslt = await test.mgr.db[connName].read.some.tables(eopts, null, true);
+    expect(erslt.error.sqler.attempts, 'retry non-transient error.sqler.attempts').to.equal(1);
+
+    const rconf = await UtilSql.initConf(), rconn = rconf.db.connections[0];
+    rconn.name = `${rconn.name}RETRY`;
+    rconn.retry = true;
+    await test.mgr.addConnection(rconn, null, test.cache);
+    expect((await test.mgr.db[rconn.name].read.some.tables(xopts('retryEnabled'))).rows, 'retry: true result rows').to.be.array();
+    eopts = xopts('retryEnabledExhausted');
+    eopts.driverOptions.throwTransientErrors = 5;
+    erslt = await test.mgr.db[rconn.name].read.some.tables(eopts, null, true);
+    expect(erslt.error.sqler.attempts, 'retry: true exhausted error.sqler.attempts').to.equal(3);
+    erslt = await test.mgr.db[rconn.name].read.some.tables(Object.assign(xopts('retryEnabledOverride'), { retry: { attempts: 2, delay: 1 } }), null, true);
+    expect(erslt.error.sqler.attempts, 'retry: true overridden error.sqler.attempts').to.equal(2);
+  }
+
+  static async circuitBreaker() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    conn.circuitBreaker = { threshold: 2, cooldown: 50 };
+    conf.db.dialects.vendor = class VendorDialect extends UtilOpts.TEST_DIALECT {
+      async exec(sql, opts, frags, meta) { // throws driver errors with the supplied code/sqlState
+        const thrw = opts.driverOptions && opts.driverOptions.throwVendorError;
+        if (thrw) throw Object.assign(new Error(`Test vendor error ${thrw.code || thrw.sqlState}`), thrw);
+        return super.exec(sql, opts, frags, meta);
+      }
+    };
+    conf.db.connections.push(Object.assign({}, conn, { name: 'vnd', dialect: 'vendor' }));
+    conf.db.connections.push(Object.assign({}, conn, { name: 'ovr', dialect: 'vendor', circuitBreaker: { threshold: 1, isFailure: err => err.code !== 'ORA-12541' } }));
+    await UtilSql.initManager(test, conf);
+
+    const circuit = async (name = connName) => (await test.mgr.state(null, name)).result[name].circuit;
+    expect(await circuit(), 'circuit initial state').to.equal({ state: 'closed', failures: 0, opened: null });
+
+    const vopts = thrw => Object.assign(UtilOpts.createExecOpts(true), { driverOptions: { throwVendorError: thrw } });
+    for (let thrw of [{ code: '42601' }, { sqlState: '23505', code: 'ER_DUP_ENTRY' }]) {
+      expect((await test.mgr.db.vnd.read.some.tables(vopts(thrw), null, true)).error, `circuit SQL error ${JSON.stringify(thrw)}`).to.be.error();
+      expect(await circuit('vnd'), `circuit state after SQL error ${JSON.stringify(thrw)}`).to.equal({ state: 'closed', failures: 0, opened: null });
+    }
+    await test.mgr.db.vnd.read.some.tables(vopts({ code: 'ORA-12541' }), null, true);
+    expect(await circuit('vnd'), 'vendor circuit state after error 1').to.include({ state: 'closed', failures: 1 });
+    await test.mgr.db.vnd.read.some.tables(vopts({ code: 'ER_CON_COUNT_ERROR' }), null, true);
+    expect(await circuit('vnd'), 'vendor circuit state after error 2').to.include({ state: 'open', failures: 2 });
+    await test.mgr.db.ovr.read.some.tables(vopts({ code: 'ORA-12541' }), null, true);
+    expect(await circuit('ovr'), 'isFailure circuit state after excluded error').to.include({ state: 'closed', failures: 0 });
+    await test.mgr.db.ovr.read.some.tables(vopts({ code: 'ESOCKET' }), null, true);
+    expect(await circuit('ovr'), 'isFailure circuit state after error').to.include({ state: 'open', failures: 1 });
+
+    const xopts = name => Object.assign(UtilOpts.createExecOpts(true), { name, driverOptions: { throwTransientErrors: 1 } });
+    let erslt = await test.mgr.db[connName].read.some.tables(xopts('circuitFailure1'), null, true);
+    expect(erslt.error.code, 'circuit failure 1 error.code').to.equal('ECONNRESET');
+    expect((await circuit()).state, 'circuit state after failure 1').to.equal('closed');
+    erslt = await test.mgr.db[connName].read.some.tables(xopts('circuitFailure2'), null, true);
+    expect(erslt.error.code, 'circuit failure 2 error.code').to.equal('ECONNRESET');
+    const open = await circuit();
+    expect(open.state, 'circuit state after failure 2').to.equal('open');
+    expect(open.failures, 'circuit failures after failure 2').to.equal(2);
+    expect(open.opened, 'circuit opened after failure 2').to.be.date();
+
+    erslt = await test.mgr.db[connName].read.some.tables(UtilOpts.createExecOpts(true), null, true);
+    expect(erslt.error, 'circuit open error').to.be.error();
+    expect(erslt.error.code, 'circuit open error.code').to.equal('SQLER_CIRCUIT_OPEN');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect((await circuit()).state, 'circuit state after cooldown').to.equal('half-open');
+    erslt = await test.mgr.db[connName].read.some.tables(xopts('circuitTrialFailure'), null, true);
+    expect(erslt.error.code, 'circuit trial failure error.code').to.equal('ECONNRESET');
+    expect((await circuit()).state, 'circuit state after trial failure').to.equal('open');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const rslt = await test.mgr.db[connName].read.some.tables(UtilOpts.createExecOpts(true));
+    expect(rslt.rows, 'circuit trial success result rows').to.be.array();
+    expect(await circuit(), 'circuit state after trial success').to.include({ state: 'closed', failures: 0 });
+  }
+
+  static async timeoutAndAbort() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    conn.timeout = 20;
+    await UtilSql.initManager(test, conf);
+
+    let dialectOpts;
+    test.mgr.use(async (ctx, next) => {
+      dialectOpts = ctx.options;
+      return next();
+    }, connName);
+    const xopts = execDelay => Object.assign(UtilOpts.createExecOpts(true), { driverOptions: { execDelay } });
+
+    let erslt = await test.mgr.db[connName].read.some.tables(xopts(100), null, true);
+    expect(erslt.error, 'connection timeout error').to.be.error();
+    expect(erslt.error.code, 'connection timeout error.code').to.equal('SQLER_TIMEOUT');
+    expect(erslt.error.sqler, 'connection timeout error.sqler').to.be.object();
+    expect(dialectOpts.timeout, 'connection timeout passed to dialect').to.equal(20);
+    if (typeof AbortController === 'function') {
+      expect(dialectOpts.signal.aborted, 'connection timeout aborts dialect signal').to.be.true();
+    } else {
+      expect(dialectOpts.signal, 'connection timeout without AbortController support').to.be.undefined();
+    }
+
+    let eopts = xopts(30);
+    eopts.timeout = 0;
+    const rslt = await test.mgr.db[connName].read.some.tables(eopts);
+    expect(rslt.rows, 'timeout disabled result rows').to.be.array();
+
+    const ctrl = UtilSql.createAbortController();
+    eopts = xopts(100);
+    eopts.timeout = 1000;
+    eopts.signal = ctrl.signal;
+    const prom = test.mgr.db[connName].read.some.tables(eopts, null, true);
+    ctrl.abort();
+    erslt = await prom;
+    expect(erslt.error, 'abort error').to.be.error();
+    expect(erslt.error.name, 'abort error.name').to.equal('AbortError');
+    expect(erslt.error.code, 'abort error.code').to.equal('ABORT_ERR');
+    if (typeof AbortController === 'function') {
+      expect(dialectOpts.signal, 'abort signal linked to dialect signal').to.not.shallow.equal(ctrl.signal);
+      expect(dialectOpts.signal.aborted, 'abort signal aborts dialect signal').to.be.true();
+    } else {
+      expect(dialectOpts.signal, 'abort signal passed to dialect').to.shallow.equal(ctrl.signal);
+    }
+    expect(ctrl.listeners.size, 'abort listeners removed').to.equal(0);
+
+    eopts = xopts(0);
+    eopts.signal = ctrl.signal;
+    erslt = await test.mgr.db[connName].read.some.tables(eopts, null, true);
+    expect(erslt.error.code, 'pre-aborted error.code').to.equal('ABORT_ERR');
+  }
+
+  static async stream() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    await UtilSql.initManager(test, conf);
+
+    const xopts = recordCount => Object.assign(UtilOpts.createExecOpts(true), { stream: true, driverOptions: { recordCount } });
+    let rslt = await test.mgr.db[connName].read.some.tables(xopts(5));
+    expect(rslt.rows, 'stream result rows').to.be.instanceOf(Readable);
+    let count = 0;
+    for await (let row of rslt.rows) {
+      expect(row, `stream row ${count}`).to.be.object();
+      count++;
+    }
+    expect(count, 'stream row count').to.equal(5);
+    const mtrc = Object.values(test.mgr.metrics()[connName])[0];
+    expect(mtrc.rows, 'stream metrics rows').to.equal(5);
+
+    rslt = await test.mgr.db[connName].read.some.tables(xopts(100));
+    count = 0;
+    for await (let row of rslt.rows) {
+      if (++count >= 2) break; // early termination
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    expect(rslt.rows.destroyed, 'stream destroyed after early termination').to.be.true();
+    expect(UtilOpts.TEST_DIALECT.OPEN_STREAMS, 'dialect streams released after early termination').to.equal(0);
+
+    const tx = await test.mgr.db[connName].beginTransaction();
+    const topts = xopts(100);
+    topts.autoCommit = false;
+    topts.transactionId = tx.id;
+    rslt = await test.mgr.db[connName].read.some.tables(topts);
+    const iter = rslt.rows[Symbol.asyncIterator]();
+    expect((await iter.next()).value, 'stream first row within transaction').to.be.object();
+    await tx.commit();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(rslt.rows.destroyed, 'stream destroyed after transaction commit').to.be.true();
+    expect(UtilOpts.TEST_DIALECT.OPEN_STREAMS, 'dialect streams released after transaction commit').to.equal(0);
+  }
+
+  static async pagination() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    await UtilSql.initManager(test, conf);
+
+    const sqls = {}, pages = {};
+    test.mgr.use(async (ctx, next) => {
+      sqls[ctx.connection] = ctx.sql;
+      pages[ctx.connection] = [ctx.options.binds.offset, ctx.options.binds.limit];
+      return next();
+    });
+    const xopts = (offset, limit) => {
+      const xopts = UtilOpts.createExecOpts(true);
+      xopts.binds.offset = offset;
+      xopts.binds.limit = limit;
+      return xopts;
+    };
+
+    await test.mgr.db[connName].read.paged.tables(xopts(0, 10));
+    expect(sqls[connName], 'default "limit" pagination').to.endWith('ORDER BY TDB.SOME_COL1\nLIMIT :limit OFFSET :offset');
+
+    let popts = xopts('20', '5');
+    await test.mgr.db[connName].read.paged.tables(popts);
+    expect(pages[connName], 'pagination binds converted for the dialect').to.equal([20, 5]);
+    expect([popts.binds.offset, popts.binds.limit], 'pagination binds unmodified').to.equal(['20', '5']);
+    const rslt = await test.mgr.render(connName, 'read.paged.tables', popts);
+    expect([rslt.binds.offset, rslt.binds.limit], 'pagination render binds').to.equal([20, 5]);
+    expect([popts.binds.offset, popts.binds.limit], 'pagination render binds unmodified').to.equal(['20', '5']);
+
+    const mbinds = Object.assign({}, popts.binds);
+    test.mgr.use(async (ctx, next) => {
+      if (ctx.options.binds.replaceBinds) {
+        ctx.options.binds = mbinds;
+        ctx.render();
+      }
+      return next();
+    }, connName);
+    popts = xopts('20', '5');
+    popts.binds.replaceBinds = true;
+    await test.mgr.db[connName].read.paged.tables(popts);
+    expect([mbinds.offset, mbinds.limit], 'pagination middleware binds unmodified').to.equal(['20', '5']);
+
+    const cconf = await UtilSql.initConf(), cconn = cconf.db.connections[0], cfiles = {
+      'read.commented.rows.sql': 'SELECT ID FROM TEST\nORDER BY ID\n  -- [[page :offset :limit]]',
+      'read.inline.rows.sql': 'SELECT ID FROM TEST ORDER BY ID --[[page :offset :limit]]'
+    };
+    cconn.name = `${cconn.name}COMMENT`;
+    cconn.dir = 'paged';
+    cconn.driverOptions.numOfPreparedFuncs = Object.keys(cfiles).length;
+    await UtilSql.withSqlFiles(`${conf.mainPath}/${cconn.dir}`, cfiles, async () => {
+      await test.mgr.addConnection(cconn, null, test.cache);
+      const page = { binds: { offset: 0, limit: 10 } };
+      expect((await test.mgr.render(cconn.name, 'read.commented.rows', page)).sql, 'pagination tag in a comment line').to.equal('SELECT ID FROM TEST\nORDER BY ID\n  LIMIT :limit OFFSET :offset');
+      expect((await test.mgr.render(cconn.name, 'read.inline.rows', page)).sql, 'pagination tag after a trailing comment marker').to.equal('SELECT ID FROM TEST ORDER BY ID LIMIT :limit OFFSET :offset');
+    });
+
+    for (let pagination of ['fetch', 'rownum', 'dialect']) {
+      const pconf = await UtilSql.initConf(), pconn = pconf.db.connections[0];
+      pconn.name = `${pconn.name}${pagination.toUpperCase()}`;
+      if (pagination === 'dialect') pconn.driverOptions.paginate = 'TEST PAGE';
+      else pconn.pagination = pagination;
+      await test.mgr.addConnection(pconn, null, test.cache);
+      await test.mgr.db[pconn.name].read.paged.tables(xopts('20', 5));
+    }
+    expect(sqls.tstFETCH, '"fetch" pagination').to.endWith('ORDER BY TDB.SOME_COL1\nOFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY');
+    expect(sqls.tstROWNUM, '"rownum" pagination').to.startWith('SELECT * FROM (SELECT sqler_page.*, ROWNUM sqler_rownum FROM (SELECT TDB.SOME_COL1');
+    expect(sqls.tstROWNUM, '"rownum" pagination').to.endWith('ORDER BY TDB.SOME_COL1) sqler_page WHERE ROWNUM <= :offset + :limit) WHERE sqler_rownum > :offset');
+    expect(sqls.tstDIALECT, 'dialect pagination').to.endWith('ORDER BY TDB.SOME_COL1\nTEST PAGE :offset, :limit');
+
+    for (let [offset, limit] of [[-1, 10], [0, 0], [1.5, 10], [0, 'ten'], [undefined, 10]]) {
+      await expect(test.mgr.db[connName].read.paged.tables(xopts(offset, limit)), `invalid pagination offset=${offset} limit=${limit}`).to.reject(Error, /pagination bind/);
+    }
+
+    const iconf = await UtilSql.initConf(), iconn = iconf.db.connections[0];
+    iconn.name = `${iconn.name}INVALID`;
+    iconn.pagination = 'invalid';
+    await expect(test.mgr.addConnection(iconn, null, test.cache), 'invalid connection pagination').to.reject(Error, /Invalid pagination/);
+  }
+
+  static async rowMapping() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    conn.rowMapping = { case: 'camel' };
+    await UtilSql.initManager(test, conf);
+
+    let rslt = await test.mgr.db[connName].read.some.tables(UtilOpts.createExecOpts(true));
+    expect(rslt.rows[0], 'connection camel case row').to.equal({ someCol1: 1, someCol2: 2, someCol3: 3 });
+
+    rslt = await test.mgr.db[connName].read.some.tables(Object.assign(UtilOpts.createExecOpts(true), { rowMapping: false }));
+    expect(rslt.rows[0], 'disabled row mapping row').to.equal({ SOME_COL1: 1, SOME_COL2: 2, SOME_COL3: 3 });
+
+    rslt = await test.mgr.db[connName].read.some.tables(Object.assign(UtilOpts.createExecOpts(true), { rowMapping: { case: name => name.toLowerCase() } }));
+    expect(rslt.rows[0], 'custom case row').to.equal({ some_col1: 1, some_col2: 2, some_col3: 3 });
+
+    rslt = await test.mgr.db[connName].read.some.tables(Object.assign(UtilOpts.createExecOpts(true), { stream: true }));
+    for await (let row of rslt.rows) {
+      expect(row, 'streamed camel case row').to.equal({ someCol1: 1, someCol2: 2, someCol3: 3 });
+    }
+
+    test.mgr.use(async () => ({
+      rows: [
+        { ID: 1, FIRST_NAME: 'Jane', alreadyCamel: true, 'ORDERS.ORDER_ID': 10, 'ORDERS.TOTAL': 5 },
+        { ID: 1, FIRST_NAME: 'Jane', alreadyCamel: true, 'ORDERS.ORDER_ID': 11, 'ORDERS.TOTAL': 7 },
+        { ID: 2, FIRST_NAME: 'John', alreadyCamel: false, 'ORDERS.ORDER_ID': null, 'ORDERS.TOTAL': null }
+      ]
+    }), connName);
+    const xopts = UtilOpts.createExecOpts(true);
+    xopts.rowMapping = { nest: true, groupBy: 'id', collections: ['orders'] };
+    rslt = await test.mgr.db[connName].read.some.tables(xopts);
+    expect(rslt.rows, 'nested/grouped rows').to.equal([
+      { id: 1, firstName: 'Jane', alreadyCamel: true, orders: [{ orderId: 10, total: 5 }, { orderId: 11, total: 7 }] },
+      { id: 2, firstName: 'John', alreadyCamel: false, orders: [] }
+    ]);
+
+    xopts.rowMapping = { nest: false };
+    rslt = await test.mgr.db[connName].read.some.tables(xopts);
+    expect(rslt.rows[0], 'non-nested row').to.equal({ id: 1, firstName: 'Jane', alreadyCamel: true, 'orders.orderId': 10, 'orders.total': 5 });
+  }
+
+  static async headers() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    const logs = [];
+    await UtilSql.initManager(test, conf, { logger: () => (...args) => logs.push(args.join(' ')) });
+
+    const fn = test.mgr.db[connName].header.some.tables;
+    expect(fn.meta, 'header meta').to.equal({
+      type: 'READ',
+      description: 'Reads some tables using a header rather than a CRUD prefixed file name',
+      binds: { someCol1: { type: 'int', required: true }, someCol2: { type: 'int', required: false }, someCol3: { type: undefined, required: false } },
+      frags: ['someFrag'],
+      timeout: 5000,
+      ttl: 60000,
+      deprecated: 'Use read.some.tables instead'
+    });
+    expect(test.mgr.db[connName].read.some.tables.meta, 'no header meta').to.equal({});
+
+    const ctxs = [];
+    test.mgr.use(async (ctx, next) => {
+      ctxs.push({ sql: ctx.sql, type: ctx.options.type, timeout: ctx.options.timeout, fragments: ctx.fragments });
+      return next();
+    });
+    await fn(UtilOpts.createExecOpts(true));
+    await fn(Object.assign(UtilOpts.createExecOpts(true), { timeout: 100 }), []);
+    expect(ctxs[0].type, 'header type').to.equal('READ');
+    expect(ctxs[0].sql, 'header stripped').to.startWith('SELECT TDB.SOME_COL1');
+    expect(ctxs[0].sql, 'header default fragment').to.contain('AND TDB.SOME_COL3 = :someCol3');
+    expect(ctxs[0].fragments, 'header default fragments').to.equal(['someFrag']);
+    expect(ctxs[0].timeout, 'header timeout').to.equal(5000);
+    expect(ctxs[1].sql, 'overridden header fragments').to.not.contain('AND TDB.SOME_COL3');
+    expect(ctxs[1].timeout, 'overridden header timeout').to.equal(100);
+    expect(logs.filter(msg => msg.includes('is deprecated: Use read.some.tables instead')), 'deprecation logged once').to.have.length(1);
+    expect(logs.filter(msg => msg.includes('Generating prepared function for') && msg.includes('header.some.tables.sql')), 'prepared function logged once').to.have.length(1);
+
+    const xopts = UtilOpts.createExecOpts(true);
+    delete xopts.binds.someCol1;
+    await expect(fn(xopts), 'missing required header bind').to.reject(Error, /missing: :someCol1/);
+
+    for (let [header, error] of [['@type UPSERT', /@type/], ['@bind some-col', /@bind/], ['@bind someCol:uuid', /@bind/], ['@ttl soon', /non-negative/], ['@unknown', /unrecognized/]]) {
+      const iconf = await UtilSql.initConf(), iconn = iconf.db.connections[0];
+      iconn.dir = 'headers';
+      const imgr = new Manager(iconf, test.cache, false);
+      await UtilSql.withSqlFiles(`${iconf.mainPath}/${iconn.dir}`, { 'read.invalid.header.sql': `-- ${header}\nSELECT * FROM TEST_DB` },
+        () => expect(imgr.init(), `invalid header "${header}"`).to.reject(Error, error));
+    }
+  }
+
+  static async bindValidation() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    const logs = [];
+    conn.warnUnusedBinds = true;
+    await UtilSql.initManager(test, conf, { logger: () => (...args) => logs.push(args.join(' ')) });
+
+    let xopts = UtilOpts.createExecOpts(true);
+    delete xopts.binds.someCol2;
+    let rslt = await test.mgr.db[connName].read.some.tables(xopts, null, true);
+    expect(rslt.error, 'missing bind error').to.be.error(Error, /missing: :someCol2/);
+    expect(rslt.error.code, 'missing bind error code').to.equal('SQLER_BINDS');
+    expect(rslt.error.sqler.binds, 'missing bind error.sqler.binds').to.equal({ missing: ['someCol2'], invalid: [] });
+    expect(rslt.error.sqler.file, 'missing bind error.sqler.file').to.endWith('read.some.tables.sql');
+
+    xopts = UtilOpts.createExecOpts(true);
+    xopts.binds.someCol1 = 'one';
+    xopts.binds.someCol2 = [2];
+    rslt = await test.mgr.db[connName].header.some.tables(xopts, null, true);
+    expect(rslt.error, 'invalid declared bind error').to.be.error(Error, /invalid: :someCol1 must be int \(found: string\), :someCol2 must be int \(found: object\)/);
+    expect(rslt.error.sqler.binds, 'invalid declared bind error.sqler.binds').to.equal({ missing: [], invalid: ['someCol1', 'someCol2'] });
+
+    xopts = UtilOpts.createExecOpts(true);
+    xopts.binds.someUnused = 'unused';
+    await test.mgr.db[connName].read.some.tables(xopts);
+    expect(logs.find(msg => msg.includes('contains unused bind parameters: someUnused')), 'unused bind warning').to.be.string();
+
+    const nconf = await UtilSql.initConf(), nconn = nconf.db.connections[0];
+    nconn.name = `${nconn.name}NOVALIDATE`;
+    nconn.validateBinds = false;
+    await test.mgr.addConnection(nconn, null, test.cache);
+    xopts = UtilOpts.createExecOpts(true);
+    delete xopts.binds.someCol2;
+    rslt = await test.mgr.db[nconn.name].read.some.tables(xopts, null, true);
+    expect(rslt.error, 'disabled bind validation passes execution to the dialect').to.be.error();
+    expect(rslt.error.code, 'disabled bind validation error code').to.not.equal('SQLER_BINDS');
+  }
+
+  static async lint() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    await UtilSql.initManager(test, conf);
+
+    let rslt = await test.mgr.lint();
+    expect(rslt.errors.map(issue => issue.code), 'lint errors').to.equal(['dialect-unknown']);
+    expect(rslt.errors[0].connections, 'lint error connections').to.equal([connName]);
+    expect(rslt.errors[0].line, 'lint error line').to.equal(10);
+    expect(rslt.warnings.filter(issue => issue.code === 'version-unreachable'), 'lint unreachable versions').to.have.length(4);
+    expect(rslt.warnings.filter(issue => issue.code === 'crud-missing').map(issue => Path.basename(issue.file)), 'lint missing CRUD prefixes').to.equal(['no.prefix.some.tables.sql']);
+    expect(await test.mgr.lint('unknownConnection'), 'lint unknown connection').to.equal({ errors: [], warnings: [] });
+
+    const lconf = UtilOpts.getConf(), dir = 'lint', files = {
+      'read.unclosed.sql': 'SELECT * FROM TEST\n[[? someKey]] AND 1 = 1\n[[version = 1]] AND 2 = 2',
+      'read.unopened.sql': 'SELECT * FROM TEST\n[[?]]\n[[!]]',
+      'read.malformed.sql': 'SELECT * FROM TEST\n[[version == 1]] AND 1 = 1 [[version]]\n[[? ]] [[OR :someBind\n[[unknown]]',
+      'read.arrays.sql': 'SELECT ARRAY[[1,2],[3,4]] AS NESTED, ARRAY[[5]] FROM [[dbo]].TEST WHERE ARR = ARRAY[[:one, 2], [3, 4]]\n-- [[ not a tag',
+      'read.nested.sql': 'SELECT * FROM TEST [[? one]] [[? two]] AND 1 = 1 [[?]] [[?]] [[?]]\n[[page :offset :limit]]\n[[page :offset :limit]]',
+      'read.mismatched.sql': 'SELECT * FROM TEST [[? one]] [[! test]] AND 1 = 1 [[?]]',
+      'read.some-table.sql': 'SELECT * FROM TEST',
+      'read.some_table.sql': 'SELECT * FROM TEST',
+      'read.some_table.all.sql': 'SELECT * FROM TEST',
+      'read.beginTransaction.sql': 'SELECT * FROM TEST',
+      'invalid.header.sql': '-- @ttl soon\nSELECT * FROM TEST'
+    };
+    lconf.db.connections[0].dir = dir;
+    rslt = await UtilSql.withSqlFiles(`${lconf.mainPath}/${dir}`, files, () => lint(lconf));
+    const codes = issues => issues.reduce((cnts, issue) => (cnts[issue.code] = (cnts[issue.code] || 0) + 1) && cnts, {});
+    expect(codes(rslt.errors), 'lint error codes').to.equal({
+      'tag-unclosed': 3, 'tag-unopened': 4, 'tag-malformed': 3, 'tag-mismatched': 1, 'page-multiple': 1, 'name-collision': 4, 'name-reserved': 1, 'header-invalid': 1
+    });
+    expect(codes(rslt.warnings), 'lint warning codes').to.equal({ 'version-unreachable': 1, 'crud-missing': 1 });
+    expect([...rslt.errors, ...rslt.warnings].filter(issue => issue.file.endsWith('read.arrays.sql')), 'lint array/identifier brackets').to.equal([]);
+
+    lconf.db.connections[0].dir = 'missing';
+    rslt = await lint(lconf);
+    expect(rslt.errors.map(issue => issue.code), 'lint missing directory').to.equal(['directory-missing']);
+    await expect(lint({}), 'lint missing dialects').to.reject(Error, /dialects/);
+    await expect(lint({ db: { dialects: {} } }), 'lint missing connections').to.reject(Error, /connections/);
+
+    const confPath = Path.resolve(lconf.mainPath, 'lint.conf.json');
+    lconf.db.connections[0].dir = conn.dir;
+    let cli;
+    try {
+      await Fs.promises.writeFile(confPath, JSON.stringify(lconf));
+      cli = await UtilSql.execCli(['lint', '--conf', confPath]);
+      expect(cli.code, 'CLI lint exit code (errors)').to.equal(1);
+      expect(cli.stderr, 'CLI lint error output').to.contain('(dialect-unknown)');
+      expect(cli.stdout, 'CLI lint summary').to.contain('1 error(s), 5 warning(s)');
+      lconf.db.dialects.removeMeDialect = lconf.db.dialects.test;
+      await Fs.promises.writeFile(confPath, JSON.stringify(lconf));
+      cli = await UtilSql.execCli(['lint', '--conf', confPath, '--json']);
+      expect(cli.code, 'CLI lint exit code (warnings)').to.equal(0);
+      expect(JSON.parse(cli.stdout).warnings, 'CLI lint JSON warnings').to.have.length(5);
+      cli = await UtilSql.execCli(['lint', '--conf', confPath, '--strict']);
+      expect(cli.code, 'CLI lint exit code (strict warnings)').to.equal(1);
+    } finally {
+      await Fs.promises.unlink(confPath);
+    }
+    cli = await UtilSql.execCli(['lint']);
+    expect(cli.code, 'CLI lint exit code (missing conf)').to.equal(2);
+    cli = await UtilSql.execCli(['--help']);
+    expect(cli.code, 'CLI help exit code').to.equal(0);
+  }
+
+  static async types() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    conn.binds = { someCol3: 3 };
+    await UtilSql.initManager(test, conf);
+
+    const dts = await test.mgr.types();
+    expect(dts, 'types connection').to.contain(`  ${connName}: SQLERConnection & {\n`);
+    expect(dts, 'types prepared function').to.contain('      tables: SQLERPreparedFunction<{ someCol1: any; someCol2: any; someCol3?: any; }, never>;');
+    expect(dts, 'types header binds/fragments').to.contain('SQLERPreparedFunction<{ someCol1: number; someCol2: number; someCol3?: any; }, \'someFrag\'>');
+    expect(dts, 'types expanded binds/fragments').to.contain('report: SQLERPreparedFunction<{ expanedCol: any; }, \'myFragKey\'>');
+    expect(dts, 'types no binds').to.contain('binds: SQLERPreparedFunction<{}, never>;');
+    expect(await test.mgr.types('unknownConnection'), 'types unknown connection').to.endWith('export interface SQLERDatabase {\n}\n');
+
+    const tconf = UtilOpts.getConf(), dir = 'types';
+    tconf.db.connections[0].name = 'my-conn';
+    tconf.db.connections[0].dir = dir;
+    const tdts = await UtilSql.withSqlFiles(`${tconf.mainPath}/${dir}`, {
+      'read.2020.report.sql': '-- @bind day:date required\n-- @bind ids:array\nSELECT * FROM TEST WHERE DAY = :day AND ID IN (:ids) [[version = 1]] AND X = :x [[version]]'
+    }, () => types(tconf));
+    expect(tdts, 'types quoted names').to.contain(`'my-conn': SQLERConnection & {`);
+    expect(tdts, 'types quoted names').to.contain(`'2020': {`);
+    expect(tdts, 'types declared types').to.contain(`report: SQLERPreparedFunction<{ day: Date | string; ids: any[]; x?: any; }, never>;`);
+    await expect(types({}), 'types missing dialects').to.reject(Error, /dialects/);
+
+    const confPath = Path.resolve(conf.mainPath, 'types.conf.json'), outPath = Path.resolve(conf.mainPath, 'types.d.ts');
+    try {
+      await Fs.promises.writeFile(confPath, JSON.stringify(UtilOpts.getConf()));
+      let cli = await UtilSql.execCli(['types', '--conf', confPath, '--out', outPath]);
+      expect(cli.code, 'CLI types exit code').to.equal(0);
+      expect((await Fs.promises.readFile(outPath)).toString(), 'CLI types output file').to.contain('export interface SQLERDatabase {');
+      cli = await UtilSql.execCli(['types', '--conf', confPath]);
+      expect(cli.stdout, 'CLI types console output').to.contain('export interface SQLERDatabase {');
+    } finally {
+      await Fs.promises.unlink(confPath);
+      await Fs.promises.unlink(outPath);
+    }
+  }
+
+  static async nestedTags() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    conn.dir = 'nested';
+    conn.version = 2;
+    const files = {
+      'read.nested.tags.sql': 'SELECT COL1\nFROM TEST\nWHERE COL1 = 1\n[[! test]]\nAND DIALECT_COL = 1\n[[? withAudit]]\nAND AUDIT_COL = 1\n[[version > 1]]\n' +
+        'AND AUDIT_V2_COL = 1\n[[version]]\n[[version < 2]]\nAND AUDIT_V1_COL = 1\n[[version]]\n[[?]]\n[[!]]\n[[! other]]\nAND OTHER_COL = 1 [[? withAudit]] AND OTHER_AUDIT_COL = 1 [[?]]\n' +
+        '[[!]]\n[[? outer]] AND OUTER_COL = 1 [[? inner]] AND INNER_COL = 1 [[?]][[?]]',
+      'read.mismatched.tags.sql': 'SELECT * FROM TEST [[? one]] [[! test]] AND 1 = 1 [[?]] [[!]]',
+      'read.unclosed.tags.sql': 'SELECT * FROM TEST [[? one]] AND 1 = 1',
+      'read.unopened.tags.sql': 'SELECT * FROM TEST AND 1 = 1 [[!]]'
+    };
+    conn.driverOptions.numOfPreparedFuncs = Object.keys(files).length;
+    await UtilSql.withSqlFiles(`${conf.mainPath}/${conn.dir}`, files, async () => {
+      await UtilSql.initManager(test, conf, { skipPrepFuncs: true });
+      const render = async (path, frags) => (await test.mgr.render(connName, path, {}, frags)).sql.replace(/\s+/g, ' ').trim();
+
+      const sql = 'SELECT COL1 FROM TEST WHERE COL1 = 1 AND DIALECT_COL = 1';
+      expect(await render('read.nested.tags'), 'nested tags without fragments').to.equal(sql);
+      expect(await render('read.nested.tags', ['withAudit', 'outer']), 'nested tags with fragments').to.equal(`${sql} AND AUDIT_COL = 1 AND AUDIT_V2_COL = 1 AND OUTER_COL = 1`);
+      expect(await render('read.nested.tags', ['outer', 'inner']), 'nested fragments').to.equal(`${sql} AND OUTER_COL = 1 AND INNER_COL = 1`);
+      expect(await render('read.nested.tags', ['inner']), 'nested fragment without outer fragment').to.equal(sql);
+
+      await expect(render('read.mismatched.tags', ['one']), 'mismatched tags').to.reject(Error, /"\[\[\?\]\]" does not match the opening tag "\[\[! test\]\]"/);
+      await expect(render('read.unclosed.tags'), 'unclosed tag').to.reject(Error, /"\[\[\? one\]\]" does not have a matching closing tag/);
+      await expect(render('read.unopened.tags'), 'unopened tag').to.reject(Error, /"\[\[!\]\]" does not have a matching opening tag/);
+    });
+  }
+
+  static async conditionalFragments() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    conn.dir = 'conditional';
+    const files = {
+      'read.conditional.tags.sql': 'SELECT * FROM TEST\nWHERE 1 = 1\n[[? :name]]\nAND NAME = :name\n[[?]]\n[[? !:name]]\nAND NAME IS NULL\n[[?]]\n' +
+        '[[? !noIds]] AND ID IN (:ids) [[?]]\n[[? :sort]]\nORDER BY :sort\n[[? else]]\nORDER BY [[? byId]] ID [[? else]] NAME [[?]]\n[[?]]',
+      'read.else.outside.sql': 'SELECT * FROM TEST [[? else]] AND 1 = 1',
+      'read.else.dialect.sql': 'SELECT * FROM TEST [[! test]] AND 1 = 1 [[? else]] AND 2 = 2 [[!]]',
+      'read.else.multiple.sql': 'SELECT * FROM TEST [[? one]] AND 1 = 1 [[? else]] AND 2 = 2 [[? else]] AND 3 = 3 [[?]]'
+    };
+    conn.driverOptions.numOfPreparedFuncs = Object.keys(files).length;
+    await UtilSql.withSqlFiles(`${conf.mainPath}/${conn.dir}`, files, async () => {
+      await UtilSql.initManager(test, conf, { skipPrepFuncs: true });
+      const render = async (path, binds, frags) => {
+        const rslt = await test.mgr.render(connName, path, { binds }, frags);
+        return Object.assign(rslt, { sql: rslt.sql.replace(/\s+/g, ' ').trim() });
+      };
+
+      let rslt = await render('read.conditional.tags', { ids: [1, 2] });
+      expect(rslt.sql, 'bind absent').to.equal('SELECT * FROM TEST WHERE 1 = 1 AND NAME IS NULL AND ID IN (:ids, :ids1) ORDER BY NAME');
+      rslt = await render('read.conditional.tags', { name: 'test', sort: 'NAME', ids: [1, 2] }, ['noIds', 'byId']);
+      expect(rslt.sql, 'bind present').to.equal('SELECT * FROM TEST WHERE 1 = 1 AND NAME = :name ORDER BY :sort');
+      expect(rslt.binds, 'binds within excluded segments are not expanded').to.equal({ name: 'test', sort: 'NAME', ids: [1, 2] });
+      rslt = await render('read.conditional.tags', { name: null, sort: undefined }, ['byId', 'noIds']);
+      expect(rslt.sql, 'null/undefined binds').to.equal('SELECT * FROM TEST WHERE 1 = 1 AND NAME IS NULL ORDER BY ID');
+
+      await expect(render('read.else.outside'), 'else outside fragment').to.reject(Error, /must be within an opening fragment tag/);
+      await expect(render('read.else.dialect'), 'else within dialect').to.reject(Error, /must be within an opening fragment tag/);
+      await expect(render('read.else.multiple'), 'multiple else').to.reject(Error, /does not already contain/);
+
+      const lrslt = await test.mgr.lint();
+      const codes = lrslt.errors.map(issue => `${Path.basename(issue.file)}:${issue.code}`);
+      expect(codes, 'lint else errors').to.equal(['read.else.dialect.sql:tag-unopened', 'read.else.multiple.sql:tag-malformed', 'read.else.outside.sql:tag-unopened']);
+
+      const tdts = await test.mgr.types();
+      expect(tdts, 'types bind conditions').to.contain('SQLERPreparedFunction<{ ids?: any; name?: any; sort?: any; }, \'noIds\' | \'byId\'>');
+    });
+  }
+
+  static async semanticVersions() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], dir = 'versions';
+    const versions = { v0: '11.2.0.4', v1: '12.1.0.2', v2: '19.3', v3: '8.0.31-log', v4: 12.1, v5: 1 };
+    conf.db.connections = Object.keys(versions).map(name => Object.assign({}, conn, {
+      name, dir, version: versions[name], driverOptions: Object.assign({}, conn.driverOptions, { numOfPreparedFuncs: 1 })
+    }));
+    const files = {
+      'read.versioned.sql': 'SELECT * FROM TEST\n[[version < 12.1]] AND OLD_COL = 1 [[version]]\n[[version >= 12.1 < 19]] AND MID_COL = 1 [[version]]\n' +
+        '[[version >= 19]] AND NEW_COL = 1 [[version]]\n[[version = 12.1.0.2]] AND PATCH_COL = 1 [[version]]\n[[version<>8.0.31]] AND NOT_MYSQL_COL = 1 [[version]]\n' +
+        '[[version > 0.5 <= 1.5]] AND FLOAT_COL = 1 [[version]]'
+    };
+    await UtilSql.withSqlFiles(`${conf.mainPath}/${dir}`, files, async () => {
+      await UtilSql.initManager(test, conf, { skipPrepFuncs: true });
+      const render = async name => (await test.mgr.render(name, 'read.versioned')).sql.replace(/\s+/g, ' ').trim();
+
+      expect(await render('v0'), 'version 11.2.0.4').to.equal('SELECT * FROM TEST AND OLD_COL = 1 AND NOT_MYSQL_COL = 1');
+      expect(await render('v1'), 'version 12.1.0.2').to.equal('SELECT * FROM TEST AND MID_COL = 1 AND PATCH_COL = 1 AND NOT_MYSQL_COL = 1');
+      expect(await render('v2'), 'version 19.3').to.equal('SELECT * FROM TEST AND NEW_COL = 1 AND NOT_MYSQL_COL = 1');
+      expect(await render('v3'), 'version 8.0.31-log').to.equal('SELECT * FROM TEST AND OLD_COL = 1');
+      expect(await render('v4'), 'version 12.1 (number)').to.equal('SELECT * FROM TEST AND MID_COL = 1 AND NOT_MYSQL_COL = 1');
+      expect(await render('v5'), 'version 1 (number)').to.equal('SELECT * FROM TEST AND OLD_COL = 1 AND NOT_MYSQL_COL = 1 AND FLOAT_COL = 1');
+
+      const lconf = { mainPath: conf.mainPath, db: { dialects: conf.db.dialects, connections: conf.db.connections.slice(0, 3) } };
+      const rslt = await lint(lconf);
+      expect(rslt.warnings.map(issue => `${issue.code}:${issue.line}`), 'lint unreachable version ranges').to.equal(['version-unreachable:7']);
+    });
+
+    const iconf = await UtilSql.initConf();
+    iconf.db.connections[0].version = 'latest';
+    expect(() => new Manager(iconf, test.cache, false), 'invalid version').to.throw(Error, /Invalid version "latest"/);
+  }
+
+  static async dialectLists() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], names = ['oracle', 'postgres', 'mysql', 'test'];
+    for (let name of names) {
+      conf.db.dialects[name] = conf.db.dialects.test;
+    }
+    conf.db.connections = names.map(name => Object.assign({}, conn, { name, dialect: name }));
+    const files = {
+      'read.dialects.sql': 'SELECT * FROM TEST\nWHERE 1 = 1\n[[! postgres, mysql]] AND PGMY_COL = 1 [[!]]\n[[! !oracle]] AND NOT_ORA_COL = 1 [[!]]\nAND 3 = 3\n' +
+        '[[! oracle]]\nAND SUBSTR_COL = SUBSTR(COL, 1, 1)\n[[!]]\n[[! MYSQL]]\nAND SUBSTR_COL = SUBSTRING(COL, 1, 1)\n[[!]]\n[[! default]]\nAND SUBSTR_COL = LEFT(COL, 1)\n[[!]]\n' +
+        'AND 2 = 2 [[! default]] AND DEFAULT_COL = 1 [[!]]'
+    };
+    await UtilSql.withSqlManager(test, conf, 'dialect-lists', files, async () => {
+      const render = async name => (await UtilSql.render(test.mgr, name, 'read.dialects')).sql;
+
+      const sql = 'SELECT * FROM TEST WHERE 1 = 1';
+      expect(await render('oracle'), 'oracle dialect').to.equal(`${sql} AND 3 = 3 AND SUBSTR_COL = SUBSTR(COL, 1, 1) AND 2 = 2 AND DEFAULT_COL = 1`);
+      expect(await render('postgres'), 'postgres dialect').to.equal(`${sql} AND PGMY_COL = 1 AND NOT_ORA_COL = 1 AND 3 = 3 AND SUBSTR_COL = LEFT(COL, 1) AND 2 = 2 AND DEFAULT_COL = 1`);
+      expect(await render('mysql'), 'mysql dialect').to.equal(`${sql} AND PGMY_COL = 1 AND NOT_ORA_COL = 1 AND 3 = 3 AND SUBSTR_COL = SUBSTRING(COL, 1, 1) AND 2 = 2 AND DEFAULT_COL = 1`);
+      expect(await render('test'), 'test dialect').to.equal(`${sql} AND NOT_ORA_COL = 1 AND 3 = 3 AND SUBSTR_COL = LEFT(COL, 1) AND 2 = 2 AND DEFAULT_COL = 1`);
+
+      const lconf = { mainPath: conf.mainPath, db: { dialects: { test: conf.db.dialects.test, oracle: conf.db.dialects.test }, connections: [conf.db.connections[0]] } };
+      const rslt = await lint(lconf);
+      expect(rslt.errors.map(issue => `${issue.code}:${issue.line}`), 'lint unknown dialects in lists').to.equal(['dialect-unknown:3', 'dialect-unknown:9']);
+    });
+  }
+
+  static async bulkValues() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    conn.maxBinds = 4; // 2 rows per chunk (the unused binds from the execution options are not counted)
+    const files = {
+      'create.bulk.rows.sql': 'INSERT INTO TEST (ID, NAME)\n[[VALUES (:rows.id, UPPER(:rows.name))]]',
+      'create.bulk.excluded.sql': 'INSERT INTO TEST (ID, NAME)\nSELECT * FROM (\n[[VALUES (:rows.id, :rows.name)]]\n) R WHERE R.ID <> ALL (:ids)',
+      'create.bulk.mixed.sql': 'INSERT INTO TEST (ID, NAME)\n[[VALUES (:rows.id, :other.name)]]'
+    };
+    await UtilSql.withSqlManager(test, conf, 'bulk', files, async events => {
+      const execs = [];
+      test.mgr.use(async (ctx, next) => {
+        const rslt = await next();
+        rslt.affected = Object.keys(ctx.options.binds).filter(name => /^rows_\d+_id$/.test(name)).length; // simulate the driver affected row count
+        rslt.raw = { chunk: execs.length };
+        execs.push({ sql: ctx.sql, binds: Object.assign({}, ctx.options.binds), transactionId: ctx.options.transactionId, autoCommit: ctx.options.autoCommit });
+        return rslt;
+      });
+      const fn = test.mgr.db[connName].create.bulk.rows, rows = [{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }, { id: 4 }, { id: 5, name: 'e' }];
+
+      let rslt = await fn(Object.assign({ dryRun: true }, { binds: Object.assign({ rows }, UtilOpts.createExecOpts(true).binds) }));
+      expect(rslt.sql, 'rendered values').to.equal('INSERT INTO TEST (ID, NAME)\nVALUES (:rows_0_id, UPPER(:rows_0_name)), (:rows_1_id, UPPER(:rows_1_name)), ' +
+        '(:rows_2_id, UPPER(:rows_2_name)), (:rows_3_id, UPPER(:rows_3_name)), (:rows_4_id, UPPER(:rows_4_name))');
+      expect(rslt.binds, 'rendered values binds').to.equal(Object.assign({
+        rows_0_id: 1, rows_0_name: 'a', rows_1_id: 2, rows_1_name: 'b', rows_2_id: 3, rows_2_name: 'c', rows_3_id: 4, rows_3_name: null, rows_4_id: 5, rows_4_name: 'e'
+      }, UtilOpts.createExecOpts(true).binds));
+
+      rslt = await fn({ binds: Object.assign({ rows }, UtilOpts.createExecOpts(true).binds) });
+      expect(rslt.affected, 'chunked affected rows').to.equal(5);
+      expect(rslt.raw, 'chunked raw results (last chunk)').to.equal({ chunk: 2 });
+      expect(rslt.chunks, 'chunked results').to.equal([{ affected: 2, raw: { chunk: 0 } }, { affected: 2, raw: { chunk: 1 } }, { affected: 1, raw: { chunk: 2 } }]);
+      expect(execs[0].sql, 'first chunk').to.equal('INSERT INTO TEST (ID, NAME)\nVALUES (:rows_0_id, UPPER(:rows_0_name)), (:rows_1_id, UPPER(:rows_1_name))');
+      expect(execs[1].binds, 'second chunk binds').to.include({ rows_0_id: 3, rows_0_name: 'c', rows_1_id: 4, rows_1_name: null });
+      expect(execs.map(exec => Object.keys(exec.binds).filter(name => name.startsWith('rows_')).length), 'chunked binds').to.equal([4, 4, 2]);
+      expect(execs[2].sql, 'last chunk').to.equal('INSERT INTO TEST (ID, NAME)\nVALUES (:rows_0_id, UPPER(:rows_0_name))');
+      expect(execs[2].binds, 'last chunk binds').to.include({ rows_0_id: 5, rows_0_name: 'e' });
+      expect(execs.every(exec => exec.transactionId === events['tx:begin'][0].transactionId && exec.autoCommit === false), 'chunks in the same transaction').to.be.true();
+      expect(events['tx:commit'], 'chunked transaction committed').to.have.length(1);
+
+      execs.length = 0;
+      const tx = await test.mgr.db[connName].beginTransaction();
+      rslt = await fn({ transactionId: tx.id, binds: Object.assign({ rows }, UtilOpts.createExecOpts(true).binds) });
+      expect(execs.map(exec => [exec.transactionId, exec.autoCommit]), 'chunks in an existing transaction').to.equal([[tx.id, false], [tx.id, false], [tx.id, true]]);
+      await tx.commit();
+
+      execs.length = 0;
+      rslt = await fn({ binds: Object.assign({ rows: rows.slice(0, 2) }, UtilOpts.createExecOpts(true).binds) });
+      expect(execs, 'unchunked execution').to.have.length(1);
+      expect(execs[0].transactionId, 'unchunked execution transaction').to.be.undefined();
+      expect(rslt.affected, 'unchunked affected rows').to.equal(2);
+      expect(rslt.raw, 'unchunked raw results').to.equal({ chunk: 0 });
+
+      const driverOptions = { throwExecError: true };
+      rslt = await fn({ driverOptions, binds: Object.assign({ rows }, UtilOpts.createExecOpts(true).binds) }, null, true);
+      expect(rslt.error, 'chunk error returned').to.be.error();
+      await expect(fn({ driverOptions, binds: Object.assign({ rows }, UtilOpts.createExecOpts(true).binds) }), 'chunk error thrown').to.reject(Error, /throwExecError/);
+      expect(events['tx:rollback'], 'chunked transaction rolled back').to.have.length(2);
+
+      await expect(fn({ binds: Object.assign({ rows: [] }, UtilOpts.createExecOpts(true).binds) }), 'empty rows').to.reject(Error, /non-empty array/);
+      execs.length = 0;
+      const xfn = test.mgr.db[connName].create.bulk.excluded;
+      rslt = await xfn({ binds: Object.assign({ rows: rows.slice(0, 3), ids: [7] }, UtilOpts.createExecOpts(true).binds) });
+      expect(execs.map(exec => Object.keys(exec.binds).filter(name => /^rows_\d+_id$/.test(name)).length), 'chunked with other binds').to.equal([1, 1, 1]);
+      expect(execs[0].sql, 'chunked with other binds SQL').to.equal('INSERT INTO TEST (ID, NAME)\nSELECT * FROM (\nVALUES (:rows_0_id, :rows_0_name)\n) R WHERE R.ID <> ALL (:ids)');
+      await expect(xfn({ binds: Object.assign({ rows, ids: [7, 8, 9] }, UtilOpts.createExecOpts(true).binds) }), 'array binds exceed max binds').to.reject(Error, /cannot fit/);
+      await expect(fn({ binds: Object.assign({ rows }, UtilOpts.createExecOpts(true).binds, { a: 1, b: 2, c: 3 }) }), 'unused binds within max binds').to.not.reject();
+      await expect(test.mgr.db[connName].create.bulk.mixed({ binds: { rows: [{ id: 1 }], other: [{ name: 'a' }] } }), 'mixed binds').to.reject(Error, /single bind parameter/);
+    }, { events: ['tx:begin', 'tx:commit', 'tx:rollback'] });
+  }
+
+  static async includes() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name, sdir = 'includes-shared';
+    const files = {
+      'read.include.rows.sql': '-- @type READ\nSELECT ID\n-- @include shared/audit.cols.sql\nFROM TEST\n--   @include ../includes-shared/tenant.where.sql',
+      'shared/audit.cols.sql': '-- @type READ\n[[? withAudit]], CREATED_BY, UPDATED_BY [[?]]\n'
+    };
+    const sfiles = {
+      'tenant.where.sql': '-- @description Tenant filter\nWHERE TENANT_ID = :tenantId\n-- @include ./tenant.active.sql\n',
+      'tenant.active.sql': 'AND ACTIVE = 1\n',
+      'cycle.first.sql': 'SELECT * FROM TEST\n-- @include ./cycle.second.sql',
+      'cycle.second.sql': '-- @include ./cycle.first.sql',
+      'missing.include.sql': '-- @include ./missing.sql'
+    };
+    const apth = Path.join(conf.mainPath, sdir, 'tenant.active.sql'), sql = active => `SELECT ID FROM TEST WHERE TENANT_ID = :tenantId AND ACTIVE = ${active}`;
+    let touched = 0;
+    const modify = async active => {
+      await Fs.promises.writeFile(apth, `AND ACTIVE = ${active}\n`);
+      await Fs.promises.utimes(apth, new Date(), new Date(Date.now() + (10000 * ++touched))); // ensure the modified time changes
+    };
+    conn.watch = { delay: 10 };
+    conf.db.connections.push(Object.assign({}, conn, { name: 'stat', watch: false }));
+    await UtilSql.withSqlFiles(`${conf.mainPath}/${sdir}`, sfiles, () => UtilSql.withSqlManager(test, conf, 'includes', files, async events => {
+      const render = async (name, frags) => (await UtilSql.render(test.mgr, name, 'read.include.rows', { binds: { tenantId: 1 } }, frags)).sql;
+      expect(test.mgr.db[connName].read.include.rows.meta, 'include header meta').to.equal({ type: 'READ' });
+      expect(await render(connName, ['withAudit']), 'include SQL').to.equal('SELECT ID , CREATED_BY, UPDATED_BY FROM TEST WHERE TENANT_ID = :tenantId AND ACTIVE = 1');
+      expect(await render(connName), 'include SQL without fragment').to.equal(sql(1));
+      expect(await render('stat'), 'include SQL (not watched)').to.equal(sql(1));
+
+      // modified includes should regenerate the SQL files that include them
+      const fn = test.mgr.db[connName].read.include.rows;
+      await modify(0);
+      await UtilSql.waitFor(() => test.mgr.db[connName].read.include.rows !== fn, 'include modified');
+      expect(await render(connName), 'include SQL modified').to.equal(sql(0));
+      expect(events['connection:reload'].map(evt => evt.modified.map(pth => Path.basename(pth))), 'include reload event').to.equal([['read.include.rows.sql']]);
+
+      // modified includes should be re-read by static and cached SQL when not watched
+      const sfn = test.mgr.db.stat.read.include.rows;
+      expect(await render('stat'), 'include SQL modified (not watched)').to.equal(sql(0));
+      expect(test.mgr.db.stat.read.include.rows, 'include static function retained (not watched)').to.shallow.equal(sfn);
+      const cache = new IntervalCache({ expiresIn: 60000 });
+      try {
+        await test.mgr.addConnection(Object.assign({}, conn, { name: 'cch', watch: false }), null, cache);
+        expect(await render('cch'), 'include SQL cached').to.equal(sql(0));
+        await modify(2);
+        expect(await render('stat'), 'include SQL modified again (not watched)').to.equal(sql(2));
+        expect(await render('cch'), 'include SQL modified (cached)').to.equal(sql(2));
+        expect(await render('cch'), 'include SQL re-cached').to.equal(sql(2));
+      } finally {
+        await cache.stop();
+        await test.mgr.removeConnection('cch');
+      }
+    }, { events: ['connection:reload'] }));
+
+    const lconf = UtilOpts.getConf();
+    lconf.db.connections[0].dir = sdir;
+    const rslt = await UtilSql.withSqlFiles(`${lconf.mainPath}/${sdir}`, sfiles, () => lint(lconf));
+    const invalid = rslt.errors.filter(issue => issue.code === 'include-invalid');
+    expect(invalid.map(issue => Path.basename(issue.file)).sort(), 'lint include errors').to.equal(['cycle.first.sql', 'cycle.second.sql', 'missing.include.sql']);
+    expect(invalid.find(issue => issue.file.endsWith('cycle.first.sql')).message, 'lint circular include').to.match(/circular.*cycle\.first\.sql -> .*cycle\.second\.sql -> .*cycle\.first\.sql/);
+    expect(invalid.find(issue => issue.file.endsWith('missing.include.sql')).message, 'lint missing include').to.match(/cannot be read/);
+  }
+
+  static async scripts() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name, calls = [];
+    const files = {
+      'create.seed.rows.sql': [
+        '-- @script',
+        '-- seed rows; split on semicolons',
+        'INSERT INTO TEST (ID, NAME) VALUES (1, \'a;b\');',
+        '/* block; comment */ INSERT INTO TEST (ID, NAME) VALUES (2, "c;d");',
+        '[[? withThird]]',
+        'INSERT INTO TEST (ID, NAME) VALUES (:id, :name);',
+        '[[?]]',
+        'SELECT ID, NAME FROM TEST WHERE ID = ANY (:ids);',
+        '-- trailing comment only'
+      ].join('\n'),
+      'create.go.rows.sql': '-- @script GO\nINSERT INTO TEST (ID) VALUES (1)\ngo\n-- GO\nINSERT INTO TEST (NAME) VALUES (\'\nGO\n\')\n  GO  \n',
+      'create.quoted.rows.sql': [
+        '-- @script',
+        'CREATE FUNCTION TEST_FN() RETURNS TRIGGER AS $$ BEGIN NEW.NAME := \'x;y\'; RETURN NEW; END; $$ LANGUAGE plpgsql;',
+        'DO $body$ BEGIN PERFORM \'$$;\'; END $body$;',
+        'INSERT INTO TEST (ID, NAME) VALUES (4, \'a\\\';b\'), (5, "c\\";d");',
+        'UPDATE TEST SET COL$A$ = 1 WHERE ID = 4;'
+      ].join('\n')
+    };
+    await UtilSql.withSqlManager(test, conf, 'scripts', files, async events => {
+      const fail = new Error('Test statement error');
+      test.mgr.use(async (ctx, next) => {
+        calls.push({ sql: ctx.sql, autoCommit: ctx.options.autoCommit, transactionId: ctx.options.transactionId });
+        if (ctx.options.binds.fail && ctx.sql.includes('VALUES (2')) throw fail;
+        const rslt = await next();
+        rslt.affected = ctx.sql.includes('INSERT INTO') ? 1 : 0; // simulate the driver affected row count
+        rslt.raw = { statement: calls.length - 1 };
+        return rslt;
+      }, connName);
+      const fn = test.mgr.db[connName].create.seed.rows, xopts = UtilOpts.createExecOpts(true);
+      Object.assign(xopts.binds, { id: 3, name: 'e', ids: [1, 2, 3] });
+      expect(fn.meta.script, 'script delimiter default').to.equal(';');
+      expect(test.mgr.db[connName].create.go.rows.meta.script, 'script delimiter').to.equal('GO');
+
+      let rslt = await fn(xopts, ['withThird']);
+      expect(rslt.statements.map(stm => stm.sql), 'script statements').to.equal([
+        '-- seed rows; split on semicolons\nINSERT INTO TEST (ID, NAME) VALUES (1, \'a;b\')',
+        '/* block; comment */ INSERT INTO TEST (ID, NAME) VALUES (2, "c;d")',
+        'INSERT INTO TEST (ID, NAME) VALUES (:id, :name)',
+        'SELECT ID, NAME FROM TEST WHERE ID = ANY (:ids)'
+      ]);
+      expect(rslt.statements.map(stm => stm.index), 'script statement indexes').to.equal([0, 1, 2, 3]);
+      expect(rslt.statements.map(stm => stm.affected), 'script statement affected').to.equal([1, 1, 1, 0]);
+      expect(rslt.statements.map(stm => stm.rows && stm.rows.map(row => Object.values(row))), 'script statement rows').to.equal([undefined, undefined, undefined, [[1, 2], [1, 2]]]);
+      expect(rslt.statements.every(stm => typeof stm.duration === 'number'), 'script statement durations').to.be.true();
+      expect(rslt.raw, 'script raw').to.equal([{ statement: 0 }, { statement: 1 }, { statement: 2 }, { statement: 3 }]);
+      expect(calls[3].sql, 'script statement expansion').to.equal('SELECT ID, NAME FROM TEST WHERE ID = ANY (:ids, :ids1, :ids2)');
+      expect(xopts.binds.ids, 'script binds unmodified').to.equal([1, 2, 3]);
+      expect(calls.map(call => [call.transactionId, call.autoCommit]), 'script transaction').to.equal(Array(4).fill([events['tx:begin'][0].transactionId, false]));
+      expect(events['tx:commit'], 'script commit').to.have.length(1);
+
+      rslt = await fn(xopts);
+      expect(rslt.statements.map(stm => stm.sql.split('\n').pop()), 'script statements without fragment').to.equal([
+        'INSERT INTO TEST (ID, NAME) VALUES (1, \'a;b\')',
+        '/* block; comment */ INSERT INTO TEST (ID, NAME) VALUES (2, "c;d")',
+        'SELECT ID, NAME FROM TEST WHERE ID = ANY (:ids)'
+      ]);
+
+      rslt = await test.mgr.db[connName].create.go.rows(xopts);
+      expect(rslt.statements.map(stm => stm.sql), 'script word delimiter statements').to.equal([
+        'INSERT INTO TEST (ID) VALUES (1)',
+        '-- GO\nINSERT INTO TEST (NAME) VALUES (\'\nGO\n\')'
+      ]);
+
+      rslt = await test.mgr.db[connName].create.quoted.rows(xopts);
+      expect(rslt.statements.map(stm => stm.sql), 'script dollar quoted and escaped statements').to.equal([
+        'CREATE FUNCTION TEST_FN() RETURNS TRIGGER AS $$ BEGIN NEW.NAME := \'x;y\'; RETURN NEW; END; $$ LANGUAGE plpgsql',
+        'DO $body$ BEGIN PERFORM \'$$;\'; END $body$',
+        'INSERT INTO TEST (ID, NAME) VALUES (4, \'a\\\';b\'), (5, "c\\";d")',
+        'UPDATE TEST SET COL$A$ = 1 WHERE ID = 4'
+      ]);
+      expect(rslt.statements.map(stm => stm.affected), 'script dollar quoted and escaped affected').to.equal([0, 0, 1, 0]);
+
+      const tx = await test.mgr.db[connName].beginTransaction();
+      calls.length = 0;
+      await fn(Object.assign({}, xopts, { transactionId: tx.id }));
+      expect(calls.map(call => [call.transactionId, call.autoCommit]), 'script existing transaction').to.equal([[tx.id, false], [tx.id, false], [tx.id, true]]);
+      await tx.commit();
+
+      const fopts = UtilOpts.createExecOpts(true);
+      fopts.binds.fail = true;
+      calls.length = 0;
+      await expect(fn(fopts), 'script statement error thrown').to.reject(Error, /Test statement error/);
+      expect(fail.sqler.statement, 'script error statement index').to.equal(1);
+      expect(calls, 'script error remaining statements').to.have.length(2);
+      expect(events['tx:rollback'], 'script rollback').to.have.length(1);
+      rslt = await fn(fopts, null, true);
+      expect(rslt.error, 'script statement error returned').to.shallow.equal(fail);
+      expect(rslt.statements.map(stm => [stm.index, stm.affected]), 'script statements before error').to.equal([[0, 1]]);
+      expect(events['tx:rollback'], 'script rollback (returned error)').to.have.length(2);
+
+      await expect(fn(Object.assign({ stream: true }, xopts)), 'script stream').to.reject(Error, /cannot be executed/);
+    }, { events: ['tx:begin', 'tx:commit', 'tx:rollback'] });
+  }
+
+  static async batch() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], calls = [];
+    conf.db.dialects.batch = class BatchDialect extends UtilOpts.TEST_DIALECT {
+      async execMany(sql, opts, bindsList, frags, meta) {
+        if (opts.driverOptions && opts.driverOptions.throwBatchError) throw new Error('Test batch error');
+        calls.push({ sql, opts, bindsList, meta });
+        return {
+          results: bindsList.map(binds => binds.id === 2 ? { error: new Error('Duplicate ID') } : { affected: 1, rows: [{ NEW_ID: binds.id, TENANT_NAME: binds.tenant }] }),
+          raw: { count: bindsList.length }
+        };
+      }
+    };
+    conf.db.connections = [conn, Object.assign({}, conn, { name: 'bat', dialect: 'batch' })];
+    const files = {
+      'create.batch.rows.sql': 'INSERT INTO TEST (ID, NAME, TENANT[[? :code]], CODE[[?]]) VALUES (:id, :name, :tenant[[? :code]], :code[[?]])',
+      'update.batch.rows.sql': 'UPDATE TEST SET NAME = :name WHERE ID = ANY (:ids)'
+    };
+    await UtilSql.withSqlManager(test, conf, 'batch', files, async events => {
+      const shared = UtilOpts.createExecOpts(true), rows = [{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }];
+      const fail = new Error('Test row error'), mws = [];
+      test.mgr.use(async (ctx, next) => {
+        if (ctx.options.binds.name === 'fail') throw fail;
+        mws.push({ sql: ctx.sql, size: ctx.bindsList ? ctx.bindsList.length : undefined });
+        ctx.options.binds.tenant = 'T1';
+        for (let binds of ctx.bindsList || [ctx.options.binds]) {
+          if (binds.name) binds.name = binds.name.toUpperCase();
+        }
+        return next();
+      });
+
+      // sequential fallback
+      const fn = test.mgr.db.tst.create.batch.rows;
+      expect(fn.batch, 'batch function').to.be.function();
+      let rslt = await fn.batch(rows, shared);
+      expect(rslt.results, 'sequential results').to.equal([{ affected: undefined, rows: undefined }, { affected: undefined, rows: undefined }, { affected: undefined, rows: undefined }]);
+      expect(rslt.raw, 'sequential raw').to.have.length(3);
+      expect(mws, 'sequential middleware').to.equal(Array(3).fill({ sql: 'INSERT INTO TEST (ID, NAME, TENANT) VALUES (:id, :name, :tenant)', size: undefined }));
+      expect(events['exec:start'].map(evt => evt.options.transactionId), 'sequential transaction').to.equal(Array(3).fill(events['tx:begin'][0].transactionId));
+      expect(events['tx:commit'], 'sequential commit').to.have.length(1);
+
+      rslt = await fn.batch([rows[0], { id: 2, name: 'fail' }, rows[2]], shared);
+      expect(rslt.results[0], 'sequential rolled back before error').to.equal({ rolledBack: true });
+      expect(rslt.results[1].error, 'sequential row error').to.shallow.equal(fail);
+      expect(rslt.results[2], 'sequential skipped after error').to.equal({ skipped: true });
+      expect(events['tx:rollback'], 'sequential rollback').to.have.length(1);
+
+      const tx = await test.mgr.db.tst.beginTransaction();
+      rslt = await fn.batch(rows.slice(0, 2), Object.assign({ transactionId: tx.id }, shared));
+      expect(events['exec:start'].slice(-2).map(evt => [evt.options.transactionId, evt.options.autoCommit]), 'sequential existing transaction').to.equal([[tx.id, false], [tx.id, true]]);
+      expect(rslt.results, 'sequential existing transaction results').to.equal(Array(2).fill({ affected: undefined, rows: undefined }));
+      await tx.commit();
+
+      rslt = await fn.batch(rows.slice(0, 1), Object.assign({ dryRun: true }, shared), null);
+      expect(rslt.sql, 'batch dry run SQL').to.equal('INSERT INTO TEST (ID, NAME, TENANT) VALUES (:id, :name, :tenant)');
+      expect(rslt.binds, 'batch dry run binds').to.equal([Object.assign({}, shared.binds, rows[0])]);
+
+      rslt = await fn.batch([rows[0], { id: 4 }], shared);
+      expect(rslt.results[1].error, 'missing binds in set').to.be.error(Error, /missing: :name/);
+      await expect(fn.batch([], shared), 'empty batch').to.reject(Error, /non-empty array/);
+
+      const expanded = Object.assign({}, shared, { binds: Object.assign({ ids: [1, 2] }, shared.binds) });
+      rslt = await test.mgr.db.tst.update.batch.rows.batch([{ name: 'x' }, { name: 'y' }], expanded);
+      expect(rslt.results, 'sequential expanded results').to.equal(Array(2).fill({ affected: undefined, rows: undefined }));
+      expect(mws.slice(-2), 'sequential expanded middleware').to.equal(Array(2).fill({ sql: 'UPDATE TEST SET NAME = :name WHERE ID = ANY (:ids, :ids1)', size: undefined }));
+      rslt = await test.mgr.db.tst.update.batch.rows.batch([{ name: 'x' }], Object.assign({ dryRun: true }, expanded));
+      expect(rslt.sql, 'batch dry run expanded SQL').to.equal('UPDATE TEST SET NAME = :name WHERE ID = ANY (:ids, :ids1)');
+      expect(rslt.binds, 'batch dry run expanded binds').to.equal([Object.assign({}, shared.binds, { ids: 1, ids1: 2, name: 'x' })]);
+
+      // dialect execMany
+      const start = events['exec:start'].length, date = new Date();
+      mws.length = 0;
+      rslt = await test.mgr.db.bat.create.batch.rows.batch([...rows, { id: 4, name: 'd', code: date }], {
+        binds: { code: 'X' }, dateFormatter: true, rowMapping: { case: 'camel' }
+      });
+      expect(mws, 'execMany middleware called once').to.equal([{ sql: 'INSERT INTO TEST (ID, NAME, TENANT, CODE) VALUES (:id, :name, :tenant, :code)', size: 4 }]);
+      expect(calls, 'execMany calls').to.have.length(1);
+      expect(calls[0].sql, 'execMany SQL rendered once').to.equal('INSERT INTO TEST (ID, NAME, TENANT, CODE) VALUES (:id, :name, :tenant, :code)');
+      expect(calls[0].bindsList, 'execMany binds (modified by middleware)').to.equal([
+        { code: 'X', tenant: 'T1', id: 1, name: 'A' },
+        { code: 'X', tenant: 'T1', id: 2, name: 'B' },
+        { code: 'X', tenant: 'T1', id: 3, name: 'C' },
+        { code: date.toISOString(), tenant: 'T1', id: 4, name: 'D' }
+      ]);
+      expect(rslt.results.map(rslt => rslt.affected), 'execMany affected').to.equal([1, undefined, 1, 1]);
+      expect(rslt.results.map(rslt => rslt.rows), 'execMany mapped rows').to.equal([
+        [{ newId: 1, tenantName: 'T1' }], undefined, [{ newId: 3, tenantName: 'T1' }], [{ newId: 4, tenantName: 'T1' }]
+      ]);
+      expect(rslt.results[1].error, 'execMany row error').to.be.error(Error, 'Duplicate ID');
+      expect(rslt.raw, 'execMany raw').to.equal({ count: 4 });
+      expect(events['exec:start'].slice(start).map(evt => evt.batchSize), 'execMany events').to.equal([4]);
+      expect(events['exec:end'].slice(-1)[0].batchSize, 'execMany end event').to.equal(4);
+
+      rslt = await test.mgr.db.bat.create.batch.rows.batch([rows[0], { id: 2, name: 'fail' }], { binds: { name: 'fail' } }, null, true);
+      expect(rslt.error, 'execMany middleware error returned').to.shallow.equal(fail);
+      expect(rslt.error.sqler.sql, 'execMany middleware error SQL').to.equal('INSERT INTO TEST (ID, NAME, TENANT) VALUES (:id, :name, :tenant)');
+      expect(calls, 'execMany skipped on middleware error').to.have.length(1);
+
+      const driverOptions = { throwBatchError: true };
+      rslt = await test.mgr.db.bat.create.batch.rows.batch(rows, { driverOptions }, null, true);
+      expect(rslt.error, 'execMany error returned').to.be.error(Error, /Test batch error/);
+      expect(rslt.error.sqler.sql, 'execMany error SQL').to.equal('INSERT INTO TEST (ID, NAME, TENANT) VALUES (:id, :name, :tenant)');
+      await expect(test.mgr.db.bat.create.batch.rows.batch(rows, { driverOptions }), 'execMany error thrown').to.reject(Error, /Test batch error/);
+      expect(events['exec:error'].slice(-3).map(evt => evt.batchSize), 'execMany error events').to.equal([2, 3, 3]);
+    }, { events: ['exec:start', 'exec:end', 'exec:error', 'tx:begin', 'tx:commit', 'tx:rollback'] });
+  }
+
+  static async dryRun() {
+    const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
+    const date = new Date(), events = { 'exec:start': [] };
+    conn.binds = { someDate: date };
+    conn.substitutes = { TEST2_DB: 'TEST2_DB_SUBSTITUTED' };
+    await UtilSql.initManager(test, conf, { listeners: { 'exec:start': evt => events['exec:start'].push(evt) } });
+    test.mgr.use(async () => {
+      throw new Error('Middleware should not be invoked during a dry run');
+    });
+
+    const xopts = UtilOpts.createExecOpts();
+    xopts.dateFormatter = true;
+    let rslt = await test.mgr.db[connName].finance.read.annual.report(Object.assign({ dryRun: true }, xopts), ['myFragKey']);
+    expect(rslt.sql, 'dry run expanded binds').to.contain('UPPER(SOME_EXP_COL) = UPPER(:expanedCol) OR UPPER(SOME_EXP_COL) = UPPER(:expanedCol1) OR UPPER(SOME_EXP_COL) = UPPER(:expanedCol2)');
+    expect(rslt.sql, 'dry run dialect substitution').to.contain('AND DIALECT_SUB_TEST_COL = SUBSTR(SOME_COL1, 1, 1)');
+    expect(rslt.sql, 'dry run dialect substitution (removed)').to.not.contain('DIALECT_SUB_REMOVE_ME_COL');
+    expect(rslt.sql, 'dry run fragment substitution').to.contain('FRAG_SUB_TEST_COL IS NOT NULL');
+    expect(rslt.binds, 'dry run binds').to.include({ someCol1: 1, expanedCol: 1, expanedCol1: 2, expanedCol2: 3, someDate: date.toISOString() });
+    expect(events['exec:start'], 'dry run events').to.have.length(0);
+
+    rslt = await test.mgr.render(connName, 'no.prefix.some.tables', Object.assign({ type: 'READ', dryRun: { positional: true } }, UtilOpts.createExecOpts(true)));
+    expect(rslt.sql, 'render raw substitution').to.contain('SOME_OTHER_DB.TEST2_DB_SUBSTITUTED TEST2_DB');
+    expect(rslt.positional.sql, 'render positional SQL').to.endWith('TDB.SOME_COL1 = ?\nAND TDB.SOME_COL2 = ?\nAND TDB.SOME_COL3 = ?');
+    expect(rslt.positional.binds, 'render positional binds').to.equal([1, 2, 3]);
+
+    rslt = await test.mgr.render(connName, ['read', 'some', 'tables'], Object.assign({ dryRun: { positional: (name, idx) => `$${idx + 1}` } }, UtilOpts.createExecOpts(true)));
+    expect(rslt.positional.sql, 'render custom positional SQL').to.endWith('TDB.SOME_COL1 = $1\nAND TDB.SOME_COL2 = $2\nAND TDB.SOME_COL3 = $3');
+
+    rslt = await test.mgr.render(connName, 'read.some.tables', { autoCommit: false });
+    expect(rslt.sql, 'render without transaction/binds').to.contain('TDB.SOME_COL1 = :someCol1');
+    rslt = await test.mgr.render(connName, 'read.some.tables', { dryRun: false });
+    expect(rslt.sql, 'render with dryRun: false').to.contain('TDB.SOME_COL1 = :someCol1');
+    expect(rslt.positional, 'render with dryRun: false positional').to.be.undefined();
+    expect(events['exec:start'], 'render events').to.have.length(0);
+    await expect(test.mgr.render(connName, 'read.some.missing'), 'render missing function').to.reject(Error, /Unable to find/);
+    await expect(test.mgr.render(connName, 'beginTransaction'), 'render transaction').to.reject(Error, /Unable to find/);
+    await expect(test.mgr.render('missingConn', 'read.some.tables'), 'render missing connection').to.reject(Error, /Unable to find/);
+  }
+
   static async execOptsNone() {
     const conf = await UtilSql.initConf(), conn = conf.db.connections[0], connName = conn.name;
     await UtilSql.initManager(test, conf);
@@ -30,6 +30,8 @@ lab.experiment(plan, () => {
 
   lab.test(`${plan}: Read`, { timeout: TEST_TKO }, Tester.read);
   lab.test(`${plan}: Read With Add Connection`, { timeout: TEST_TKO }, Tester.readWithAddConnection);
+  lab.test(`${plan}: Read With Remove Connection`, { timeout: TEST_TKO }, Tester.readWithRemoveConnection);
+  lab.test(`${plan}: Remove Nonexistent Connection (Error)`, Labrat.expectFailure('onUnhandledRejection', { expect, label: 'remove connection' }, Tester.removeConnectionNonexistent));
   lab.test(`${plan}: Read Return Error`, { timeout: TEST_TKO }, Tester.readErrorReturn);
   lab.test(`${plan}: Read Throw Error`, Labrat.expectFailure('onUnhandledRejection', { expect, label: 'read throw' }, Tester.readErrorThrow));
   lab.test(`${plan}: Read With SQL Dialect Substitutions`, { timeout: TEST_TKO }, Tester.readWithSubstitutionsDialects);
@@ -43,5 +45,29 @@ lab.experiment(plan, () => {
     expect, label: 'autoCommit = false, transaction.id = undefined' }, Tester.execOptsAutoCommitFalseTransactionIdMissing));
   lab.test(`${plan}: Prepared Statements`, { timeout: TEST_TKO }, Tester.execOptsPreparedStatements);
   lab.test(`${plan}: Interval Cache`, { timeout: TEST_TKO }, Tester.intervalCache);
+  lab.test(`${plan}: Watch SQL Files`, { timeout: TEST_TKO }, Tester.watch);
+  lab.test(`${plan}: Events`, { timeout: TEST_TKO }, Tester.events);
+  lab.test(`${plan}: Middleware`, { timeout: TEST_TKO }, Tester.middleware);
+  lab.test(`${plan}: Metrics`, { timeout: TEST_TKO }, Tester.metrics);
+  lab.test(`${plan}: Tracing`, { timeout: TEST_TKO }, Tester.tracing);
+  lab.test(`${plan}: Retry Transient Errors`, { timeout: TEST_TKO }, Tester.retry);
+  lab.test(`${plan}: Circuit Breaker`, { timeout: TEST_TKO }, Tester.circuitBreaker);
+  lab.test(`${plan}: Timeout And Abort`, { timeout: TEST_TKO }, Tester.timeoutAndAbort);
+  lab.test(`${plan}: Stream Rows`, { timeout: TEST_TKO }, Tester.stream);
+  lab.test(`${plan}: Pagination Substitutions`, { timeout: TEST_TKO }, Tester.pagination);
+  lab.test(`${plan}: Row Mapping`, { timeout: TEST_TKO }, Tester.rowMapping);
+  lab.test(`${plan}: SQL File Headers`, { timeout: TEST_TKO }, Tester.headers);
+  lab.test(`${plan}: Bind Validation`, { timeout: TEST_TKO }, Tester.bindValidation);
+  lab.test(`${plan}: Lint SQL Files`, { timeout: TEST_TKO }, Tester.lint);
+  lab.test(`${plan}: TypeScript Declarations`, { timeout: TEST_TKO }, Tester.types);
+  lab.test(`${plan}: Nested Substitution Tags`, { timeout: TEST_TKO }, Tester.nestedTags);
+  lab.test(`${plan}: Conditional Fragments`, { timeout: TEST_TKO }, Tester.conditionalFragments);
+  lab.test(`${plan}: Semantic Version Substitutions`, { timeout: TEST_TKO }, Tester.semanticVersions);
+  lab.test(`${plan}: Dialect Lists`, { timeout: TEST_TKO }, Tester.dialectLists);
+  lab.test(`${plan}: Bulk VALUES Expansion`, { timeout: TEST_TKO }, Tester.bulkValues);
+  lab.test(`${plan}: SQL Includes`, { timeout: TEST_TKO }, Tester.includes);
+  lab.test(`${plan}: SQL Scripts`, { timeout: TEST_TKO }, Tester.scripts);
+  lab.test(`${plan}: Batch Execution`, { timeout: TEST_TKO }, Tester.batch);
+  lab.test(`${plan}: Dry Run Rendering`, { timeout: TEST_TKO }, Tester.dryRun);
   lab.test(`${plan}: No Execution Options`, { timeout: TEST_TKO }, Tester.execOptsNone);
 });
\ No newline at end of file
@@ -7,6 +7,7 @@ const TestDialect = require('../dialects/test-dialect');
 const UtilOpts = require('./utility-options');
 const Fs = require('fs');
 const Path = require('path');
+const { execFile } = require('child_process');
 const { expect } = require('@hapi/code');
 // TODO : import { Labrat, LOGGER } from '@ugate/labrat';
 // TODO : import { Manager } from '../../index.mjs';
@@ -14,6 +15,7 @@ const { expect } = require('@hapi/code');
 // TODO : import * as UtilOpts from './utility-options.mjs';
 // TODO : import * as Fs from 'fs';
 // TODO : import * as Path from 'path';
+// TODO : import { execFile } from 'child_process';
 // TODO : import { expect } from '@hapi/code';
 
 // TODO : ESM uncomment the following line...
@@ -30,13 +32,20 @@ class UtilSql {
    * @param {Manager} [initOpts.mgr] The manager to initialize
    * @param {Boolean} [initOpts.skipPrepFuncs] Truthy to skip {@link SQLERPreparedFunction} validation
    * @param {Boolean} [initOpts.returnErrors] Override value passed into {@link Manager.init}
+   * @param {Object} [initOpts.listeners] An object that contains {@link Manager.EVENT_TYPES} as property names and listener functions as values that will be added to the
+   * manager before it is initialized
+   * @param {SQLERTracer} [initOpts.tracer] The tracer to use for the manager
    */
   static async initManager(priv, conf, initOpts = {}) {
-    const { cache, logger, mgr, skipPrepFuncs } = initOpts;
+    const { cache, logger, mgr, skipPrepFuncs, listeners, tracer } = initOpts;
     priv.cache = cache;
-    priv.mgr = mgr || new Manager(conf, priv.cache, logger || false);
+    priv.mgr = mgr || new Manager(conf, priv.cache, logger || false, tracer);
 
     if (!conf) return; // should throw error in manager
+
+    if (listeners) for (let type in listeners) {
+      priv.mgr.on(type, listeners[type]);
+    }
     
     priv.closeConnNames = conf.db.connections.map(conn => conn.name);
 
@@ -430,6 +439,156 @@ class UtilSql {
     return rslt;
   }
 
+  /**
+   * Expects the {@link SQLEREvent}(s) captured for a connection to contain each of the {@link Manager.EVENT_TYPES}
+   * @param {Object} events The captured events where each property is one of the {@link Manager.EVENT_TYPES} and the value is an array of {@link SQLEREvent}(s)
+   * @param {String} connName The connection name where the events should have originated from
+   * @param {String[]} types The {@link Manager.EVENT_TYPES} that should have been captured
+   */
+  static expectEvents(events, connName, types) {
+    for (let type of types) {
+      const label = `manager.on('${type}')`;
+      expect(events[type], label).to.be.array();
+      expect(events[type], label).to.not.be.empty();
+      for (let evt of events[type]) {
+        expect(evt, `${label} event`).to.be.object();
+        expect(evt.type, `${label} event.type`).to.equal(type);
+        expect(evt.connection, `${label} event.connection`).to.equal(connName);
+        expect(evt.dialect, `${label} event.dialect`).to.be.string();
+        if (type.startsWith('exec:')) {
+          expect(evt.meta, `${label} event.meta`).to.be.object();
+          expect(evt.meta.path, `${label} event.meta.path`).to.be.string();
+          expect(evt.options, `${label} event.options`).to.be.object();
+          expect(evt.options.binds, `${label} event.options.binds (redacted)`).to.be.array();
+        }
+        if (type.startsWith('tx:')) {
+          expect(evt.transactionId, `${label} event.transactionId`).to.be.string();
+        }
+        if (type === 'exec:error') {
+          expect(evt.error, `${label} event.error`).to.be.error();
+        }
+        if (type !== 'exec:start' && type !== 'tx:begin' && type !== 'connection:reload') {
+          expect(evt.duration, `${label} event.duration`).to.be.number();
+        }
+      }
+    }
+  }
+
+  /**
+   * Creates a minimal `AbortController` __like__ object (`AbortController` is not available globally in all supported Node.js versions)
+   * @returns {Object} The controller that contains an `AbortSignal` __like__ `signal` and an `abort()` function
+   */
+  static createAbortController() {
+    const listeners = new Set();
+    const signal = {
+      aborted: false,
+      addEventListener(type, listener) {
+        listeners.add(listener);
+      },
+      removeEventListener(type, listener) {
+        listeners.delete(listener);
+      }
+    };
+    return {
+      signal,
+      listeners,
+      abort() {
+        signal.aborted = true;
+        for (let listener of listeners) listener();
+      }
+    };
+  }
+
+  /**
+   * Creates an in-memory {@link SQLERTracer} that captures each span that is started
+   * @returns {SQLERTracer} The tracer where `tracer.spans` will contain the captured spans
+   */
+  static createTracer() {
+    const spans = [];
+    return {
+      spans,
+      startSpan(name, options, context) {
+        const span = {
+          name,
+          options,
+          context,
+          attributes: {},
+          setAttribute(key, value) {
+            span.attributes[key] = value;
+            return span;
+          },
+          recordException(error) {
+            span.error = error;
+          },
+          setStatus(status) {
+            span.status = status;
+          },
+          end() {
+            span.ended = true;
+          }
+        };
+        spans.push(span);
+        return span;
+      }
+    };
+  }
+
+  /**
+   * Tests that SQL files/directories that are added, renamed and removed are reflected in the {@link SQLERPreparedFunction}(s) on the {@link Manager}
+   * (requires `watch` to be set on the {@link SQLERConnectionOptions})
+   * @param {Manager} mgr The {@link Manager} that will be used
+   * @param {String} connName The connection name to use
+   * @param {String} dirPath The path to the SQL directory used by the connection
+   */
+  static async testWatch(mgr, connName, dirPath) {
+    const wdir = Path.resolve(dirPath, 'watched'), sql = (await UtilSql.sqlFile()).toString();
+    const addPath = Path.join(wdir, 'read.watched.tables.sql'), renamePath = Path.join(wdir, 'read.renamed.tables.sql');
+    const label = `mgr.db.${connName}.watched`;
+    try {
+      await Fs.promises.mkdir(wdir);
+      await Fs.promises.writeFile(addPath, sql);
+      await UtilSql.waitFor(() => mgr.db[connName].watched && mgr.db[connName].watched.read, `${label}.read (added)`);
+      expect(mgr.db[connName].watched.read.watched.tables, `${label}.read.watched.tables (added)`).to.be.function();
+      const fn = mgr.db[connName].watched.read.watched.tables;
+      const rslt = await fn(UtilOpts.createExecOpts());
+      expect(rslt, `${label}.read.watched.tables() result`).to.be.object();
+      expect(rslt.rows, `${label}.read.watched.tables() result rows`).to.be.array();
+
+      // static SQL (i.e. no cache) should be regenerated when modified
+      const singleRecordKey = '\nORDER BY *', xopts = UtilOpts.createExecOpts();
+      xopts.driverOptions = { singleRecordKey, recordCount: 1 };
+      await Fs.promises.writeFile(addPath, `${sql}${singleRecordKey}`);
+      await UtilSql.waitFor(() => mgr.db[connName].watched.read.watched.tables !== fn, `${label}.read.watched.tables (modified)`);
+      const mrslt = await mgr.db[connName].watched.read.watched.tables(xopts);
+      expect(mrslt.rows, `${label}.read.watched.tables() result rows (modified)`).to.have.length(1);
+
+      await Fs.promises.rename(addPath, renamePath);
+      await UtilSql.waitFor(() => mgr.db[connName].watched && mgr.db[connName].watched.read && mgr.db[connName].watched.read.renamed, `${label}.read.renamed (renamed)`);
+      expect(mgr.db[connName].watched.read.renamed.tables, `${label}.read.renamed.tables (renamed)`).to.be.function();
+      expect(mgr.db[connName].watched.read.watched, `${label}.read.watched (renamed)`).to.be.undefined();
+
+      await Fs.promises.unlink(renamePath);
+      await Fs.promises.rmdir(wdir);
+      await UtilSql.waitFor(() => !mgr.db[connName].watched, `${label} (removed)`);
+      UtilSql.expectManagerDB(mgr, connName);
+    } finally {
+      await Fs.promises.rm(wdir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Waits for a condition to be met
+   * @param {Function} check A `function()` that returns a truthy value when the condition has been met
+   * @param {String} label The label used when the condition is not met
+   * @param {Integer} [timeout=3000] The maximum number of milliseconds to wait for the condition
+   */
+  static async waitFor(check, label, timeout = 3000) {
+    for (let waited = 0; !check(); waited += 50) {
+      if (waited >= timeout) throw new Error(`Timed out after ${timeout} ms waiting for ${label}`);
+      await Labrat.wait(50);
+    }
+  }
+
   /**
    * Reads/writes test SQL file
    * @param {String} [sql] The SQL to write to the test file (omit to just read file)
@@ -444,6 +603,81 @@ class UtilSql {
     }
   }
 
+  /**
+   * Creates a temporary directory containing the specified SQL files, invokes the function and removes the directory afterwards
+   * @param {String} dirPath The path to the temporary directory
+   * @param {Object} files The SQL file contents where each property name is the file name
+   * @param {Function} func The `async function()` to invoke while the SQL files are present
+   */
+  static async withSqlFiles(dirPath, files, func) {
+    await Fs.promises.mkdir(dirPath);
+    try {
+      for (let name in files) {
+        await Fs.promises.mkdir(Path.dirname(Path.join(dirPath, name)), { recursive: true }); // file names can contain sub-directories
+        await Fs.promises.writeFile(Path.join(dirPath, name), files[name]);
+      }
+      return await func();
+    } finally {
+      await Fs.promises.rm(dirPath, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Sets a temporary SQL directory on each of the connections, creates the SQL files within the directory (see {@link UtilSql.withSqlFiles}), initializes the manager (see
+   * {@link UtilSql.initManager}) and invokes the function while the SQL files are present
+   * @param {Object} priv The private test state where the manager will be set
+   * @param {Object} conf The configuration from {@link UtilSql.initConf}
+   * @param {String} dir The temporary SQL directory name (relative to the configuration `mainPath`)
+   * @param {Object} files The SQL file contents where each property name is the file name (the number of files is used as the number of prepared functions for each connection)
+   * @param {Function} func The `async function(events)` to invoke after the manager has been initialized where `events` contains the captured events for each of the `opts.events`
+   * @param {Object} [opts] The options
+   * @param {String[]} [opts.events] The event types that will be captured
+   * @param {Object} [opts.initOpts] Any additional options passed into {@link UtilSql.initManager}
+   * @returns {*} The value returned from the function
+   */
+  static async withSqlManager(priv, conf, dir, files, func, opts = {}) {
+    const events = {}, listeners = {};
+    for (let type of opts.events || []) {
+      events[type] = [];
+      listeners[type] = evt => events[type].push(evt);
+    }
+    for (let conn of conf.db.connections) {
+      conn.dir = dir;
+      conn.driverOptions = Object.assign({}, conn.driverOptions, { numOfPreparedFuncs: Object.keys(files).length });
+    }
+    return UtilSql.withSqlFiles(`${conf.mainPath}/${dir}`, files, async () => {
+      await UtilSql.initManager(priv, conf, Object.assign({ skipPrepFuncs: true, listeners }, opts.initOpts));
+      return func(events);
+    });
+  }
+
+  /**
+   * Renders a prepared function using {@link Manager.render} and collapses the whitespace in the rendered SQL
+   * @param {Manager} mgr The manager
+   * @param {String} connName The connection name
+   * @param {String} path The prepared function path
+   * @param {Object} [opts] The execution options
+   * @param {String[]} [frags] The fragments
+   * @returns {Object} The rendered results
+   */
+  static async render(mgr, connName, path, opts, frags) {
+    const rslt = await mgr.render(connName, path, opts, frags);
+    return Object.assign(rslt, { sql: rslt.sql.replace(/\s+/g, ' ').trim() });
+  }
+
+  /**
+   * Executes the `sqler` command line interface
+   * @param {String[]} args The command line arguments
+   * @returns {Object} The `code` the process exited with along with the `stdout` and `stderr` output
+   */
+  static async execCli(args) {
+    return new Promise(resolve => {
+      execFile(process.execPath, [Path.resolve('bin/sqler.js'), ...args], { timeout: 10000 }, (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, stdout, stderr });
+      });
+    });
+  }
+
   /**
    * Scans a directory and any subdirectories for SQL files and adds their paths to the provided list
    * @param {String[]} paths Where the SQL file paths will be stored